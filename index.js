@@ -10,8 +10,10 @@
  *   [time: h:MM AM/PM; MM/DD/YYYY (DayOfWeek)]
  *   [location: Full Location Description]
  *   [weather: Weather Description, Temperature]
- *   [heart: points_value]
- *   [char: Name | outfit: What they wear | state: Their state | position: Where they are]
+ *   [heart: points_value]   or   [heart: Name=points; Name=points]
+ *   [char: Name | outfit: What they wear | state: Their state | position: Where they are | heart: points]
+ *   [inv: Name | +Item gained | -Item lost]   or   [inv: Name | Item, Item]
+ *   [quest: Title | status: active/done/failed | note: Progress note]
  */
 (function () {
     'use strict';
@@ -22,476 +24,5291 @@
 
     var EXT_ID = 'pt-tracker';
 
-    var OUTPUT_FILTER_PATTERN = '\\[(?:time|location|weather|heart|char):\\s*[^\\]]*\\]';
-
-    var _perMessageTracker = {};
+    // Key of the chat whose store is currently loaded into settings.current*.
+    var _chatKey = null;
 
     var DEFAULT_SETTINGS = {
         enabled: true,
         scanDepth: 10,
         defaultHeartPoints: 0,
         heartPoints: 0,
+        heartReason: '',
+        heartEvents: [],
         currentTime: '',
         currentLocation: '',
         currentWeather: '',
         currentCharacters: [],
-        showTime: true,
-        showLocation: true,
-        showWeather: true,
-        showHeartMeter: true,
-        showCharacters: true,
+        characterRoster: {},
+        currentFields: {},
+        currentInventory: {},
+        currentQuests: [],
+        currentWarnings: [],
+        heartMode: 'auto',
+        temperatureUnit: 'auto',
+        locale: 'en',
+        timeFormat: '12h',
+        dateOrder: 'MDY',
+        tagFormat: 'brackets',
+        characterHearts: {},
+        heartMilestones: [],
+        characterPresets: {},
+        validation: {},
+        inferenceRetries: 2,
+        stoppedGeneration: 'parse',
+        promptTemplate: '',
+        extractionTemplate: '',
+        promptPresets: {},
+        knownBuiltinFields: [],
+        chats: {},
+        legacyStateAdopted: false,
     };
 
-    // -------------------------------------------------------------------------
-    // Time helpers
-    // -------------------------------------------------------------------------
+    /**
+     * Default tracker field schema. Every field is described by:
+     *   key     — internal id; built-in keys map onto settings.current*
+     *   tag     — tag name the model writes, e.g. "time" for [time: ...]
+     *   label   — header and Edit dialog label
+     *   emoji   — icon shown before the label in the header
+     *   type    — 'text', 'number' or 'list'
+     *   show    — whether the field is shown in the header
+     *   highlight — whether the header marks changes since the previous
+     *             AI message (optional, on unless false)
+     *   hint    — placeholder describing the value in the injected prompt
+     *   example — optional example value for the injected prompt
+     *
+     * Custom fields are appended to settings.fields and stored in
+     * settings.currentFields. The built-in 'heart', 'characters',
+     * 'inventory' and 'quests' fields keep their special handling (tiers,
+     * per-character meters, [char:] entries, item deltas, quest log).
+     */
+    var DEFAULT_FIELDS = [
+        { key: 'time',       tag: 'time',     label: 'Time',               emoji: '\u23F0',             type: 'text',   show: true,
+          hint: 'h:MM AM/PM; MM/DD/YYYY (DayOfWeek)', example: '8:15 AM; 05/21/2001 (Monday)' },
+        { key: 'location',   tag: 'location', label: 'Location',           emoji: '\uD83D\uDDFA\uFE0F', type: 'text',   show: true,
+          hint: 'Full Location Description',          example: 'Mako Crystal Cave, Eastern Trail, Mount Nibel' },
+        { key: 'weather',    tag: 'weather',  label: 'Weather',            emoji: '\uD83C\uDF24\uFE0F', type: 'text',   show: true,
+          hint: 'Weather Description, Temperature',   example: 'Cool and damp, sunny outside, 57\u00B0F' },
+        { key: 'heart',      tag: 'heart',    label: 'Heart Meter',        emoji: '\uD83D\uDC98',       type: 'number', show: true,
+          hint: 'points_value',                       example: '5000' },
+        { key: 'characters', tag: 'char',     label: 'Characters Present', emoji: '',                   type: 'list',   show: true,
+          hint: 'CharacterName | outfit: What they wear | state: Emotional/physical state | position: Where in the scene' },
+        { key: 'inventory',  tag: 'inv',      label: 'Inventory',          emoji: '\uD83C\uDF92',       type: 'list',   show: true,
+          hint: 'CharacterName | +Item gained | -Item lost' },
+        { key: 'quests',     tag: 'quest',    label: 'Quests',             emoji: '\uD83D\uDCDC',       type: 'list',   show: true,
+          hint: 'Quest title | status: active/done/failed | note: Short progress note' },
+    ];
 
-    function convertTo12Hour(timeStr) {
-        if (!timeStr) return timeStr;
-        if (/AM|PM/i.test(timeStr)) return timeStr;
-        var match = timeStr.match(/^(\d{1,2}):(\d{2})(?::\d{2})?(\s*;.*)?$/);
-        if (!match) return timeStr;
-        var hours   = parseInt(match[1], 10);
-        var minutes = match[2];
-        var rest    = match[3] || '';
-        if (hours < 0 || hours > 23) return timeStr;
-        var period = hours >= 12 ? 'PM' : 'AM';
-        var h12    = hours % 12 || 12;
-        return h12 + ':' + minutes + ' ' + period + rest;
-    }
+    // Built-in field keys and the settings/snapshot property holding their value.
+    var BUILTIN_STATE_KEYS = {
+        time:       'currentTime',
+        location:   'currentLocation',
+        weather:    'currentWeather',
+        heart:      'heartPoints',
+        characters: 'currentCharacters',
+        inventory:  'currentInventory',
+        quests:     'currentQuests',
+    };
+
+    // Built-in fields rendered as sections of the collapsible header.
+    var SECTION_FIELDS = ['characters', 'inventory', 'quests'];
+
+    var QUEST_STATUSES = ['active', 'done', 'failed'];
+
+    var HEART_MIN       = 0;
+    var HEART_MAX       = 69999;
+    var HEART_MAX_DELTA = 10000;
+
+    // Continuity rules and their default mode: 'off', 'warn' or 'clamp'.
+    var DEFAULT_VALIDATION = {
+        heartRange:        'clamp',
+        heartDelta:        'warn',
+        timeBackwards:     'warn',
+        characterVanished: 'warn',
+        weatherConsistency: 'off',
+    };
+
+    var VALIDATION_MODES = ['off', 'warn', 'clamp'];
+
+    // Show-toggles used before the field schema existed.
+    var LEGACY_SHOW_KEYS = {
+        time:       'showTime',
+        location:   'showLocation',
+        weather:    'showWeather',
+        heart:      'showHeartMeter',
+        characters: 'showCharacters',
+    };
 
     // -------------------------------------------------------------------------
-    // Heart Meter helpers
+    // Localization
     // -------------------------------------------------------------------------
+    //
+    // settings.locale picks the language of header labels, Edit dialog labels
+    // and the injected prompts. Missing keys fall back to English. %1, %2 in a
+    // string are replaced with the arguments passed to t().
 
-    function getCharacterHeartDefault(character) {
-        if (!character) return 0;
-        var desc = (character.description || '') + ' ' +
-                   (character.personality || '') + ' ' +
-                   (character.scenario    || '');
-        var heartMatch = desc.match(/\[heart_default:\s*(\d+)\]/i);
-        return heartMatch ? Math.max(0, parseInt(heartMatch[1], 10)) : 0;
+    var LOCALES      = ['en', 'ja', 'de'];
+    var LOCALE_TAGS  = { en: 'en-US', ja: 'ja-JP', de: 'de-DE' };
+    var TIME_FORMATS = ['12h', '24h'];
+    var DATE_ORDERS  = ['MDY', 'DMY', 'YMD'];
+
+    var STRINGS = {
+        en: {
+            label_time: 'Time', label_location: 'Location', label_weather: 'Weather', label_heart: 'Heart Meter',
+            label_characters: 'Characters Present', label_inventory: 'Inventory', label_quests: 'Quests',
+            unknown: 'Unknown', tracker: 'Tracker', outfit: 'Outfit', state: 'State', position: 'Position', empty: '(empty)',
+
+            edit_heart:      'Heart Points',
+            edit_heart_reason: 'Heart reason',
+            edit_heart_list: 'Heart Points (Name=N — separate multiple with ;)',
+            edit_characters: 'Characters (Name | outfit: X | state: Y | position: Z  — separate multiple with ;)',
+            edit_inventory:  'Inventory (Name | item, item  — separate characters with ;)',
+            edit_list:       '%1 (separate multiple with ,)',
+            quest_add:       'Add quests (Title | note: X  — separate multiple with ;)',
+            place_message:   '1 message',
+            place_messages:  '%1 messages',
+            place_first:     'first %1',
+            place_last:      'last %1',
+            place_with:      'with %1',
+            places_empty:    'No places visited yet.',
+            history_range:   'Heart points over the chat (%1–%2)',
+            history_changes: 'Changes',
+            history_none:    'No heart changes yet.',
+            versions_current: '%1 (current)',
+            versions_initial: 'First version',
+            versions_same:   'No changes',
+            versions_restore: 'Restore version (number)',
+            sources:         { ai: 'AI tags', auto: 'Auto-generate', regenerate: 'Regenerate', rebuild: 'Rebuild', edit: 'Manual edit',
+                               command: 'User command', api: 'API', restore: 'Restored', stopped: 'Stopped generation',
+                               undo: 'Undo', redo: 'Redo', rollback: 'Message deleted', reset: 'Reset', chat: 'Chat switched' },
+            milestone_up:    'Reached %1',
+            milestone_down:  'Dropped to %1',
+            cmd_unknown:     'Unknown tracker command: %1',
+            updating:        'updating…',
+            cmd_no_time:     'The current time has no clock to move',
+            cmd_not_here:    '%1 is not in the scene',
+            cmd_too_late:    'Not applied, a later reply exists: %1',
+            cmd_single_heart: 'This chat has one heart meter; leave out the name: %1',
+            off_scene:       'Off-scene',
+            last_seen:       'Last seen: message #%1',
+            mark_new:        ' (new)',
+            mark_left:       ' (left)',
+            mark_was:        ' (was: %1)',
+
+            v_heart:          'Heart',
+            v_heart_of:       '%1\'s heart',
+            v_above:          '%1 %2 is above the maximum of %3.',
+            v_above_clamp:    '%1 %2 is above %3 — clamped to %3.',
+            v_jump:           '%1 jumped from %2 to %3 (max ±%4 per message).',
+            v_jump_clamp:     '%1 jumped from %2 to %3 (max ±%4 per message) — clamped to %5.',
+            v_time:           'Time went backwards from "%1" to "%2".',
+            v_time_clamp:     'Time went backwards from "%1" to "%2" — kept "%1".',
+            v_weather:        'Weather changed from "%1" to "%2" within %3.',
+            v_weather_clamp:  'Weather changed from "%1" to "%2" within %3 — kept "%1".',
+            v_vanished:       '%1 disappeared from the scene without being mentioned.',
+            v_vanished_clamp: '%1 disappeared from the scene without being mentioned — kept in the scene.',
+
+            rebuild_progress: 'Rebuilding tracker… %1 / %2 (long-press to cancel)',
+            rebuild_done:     'Rebuilt %1 of %2 AI messages',
+            rebuild_summary:  'Parsed: %1\nInferred: %2\nFailed: %3',
+            rebuild_stopped:  'Stopped after %1 of %2 messages.',
+
+            title_edit:      'Edit Tracker',
+            title_quests:    'Quests',
+            title_versions:  'Tracker History #%1',
+            title_hearts:    'Heart History',
+            title_places:    'Visited Places',
+            title_rebuild:   'Tracker Rebuild',
+            title_settings:  'Tracker Settings',
+            title_templates: 'Prompt Templates',
+            title_preview:   'Prompt Preview',
+
+            set_enabled:     'Tracker enabled',
+            set_show:        'Show %1',
+            set_highlight:   'Highlight changes: %1',
+            set_scan_depth:  'Scan depth',
+            set_heart_default: 'Default heart points',
+            set_heart_mode:  'Heart meter',
+            set_tag_format:  'Tag format',
+            set_retries:     'Inference retries',
+            set_stopped:     'Stopped generation',
+            set_temperature: 'Temperature unit',
+            set_locale:      'Language',
+            set_time_format: 'Time format',
+            set_date_order:  'Date order',
+            set_choices:     '%1 (%2)',
+            set_reset:       'Type "reset" to clear this chat\'s tracker state',
+            set_preset:      'Type "save" to keep these toggles and tag format for %1 only, or "clear" to drop their preset',
+            set_errors:      'These values were not saved',
+            rules:           { heartRange: 'Heart range rule', heartDelta: 'Heart jump rule', timeBackwards: 'Time backwards rule',
+                               characterVanished: 'Vanished characters rule', weatherConsistency: 'Weather consistency rule' },
+            err_number:      '%1 must be a whole number from %2 to %3.',
+            err_option:      '%1 must be one of: %2.',
+            err_toggle:      '%1 must be on or off.',
+
+            tpl_prompt:      'Injected prompt template — placeholders: %1',
+            tpl_extraction:  'Extraction prompt template — also {{message}} and {{previous_state}}',
+            tpl_load:        'Load preset (%1)',
+            tpl_none_saved:  'none saved',
+            tpl_save:        'Save as preset (name)',
+            tpl_delete:      'Delete preset (name)',
+            tpl_command:     'Type "preview" to see the rendered prompts, or "default" to restore the built-in templates',
+            tpl_no_preset:   'No preset named "%1".',
+            tpl_bad_command: 'Unknown command "%1"; use preview or default.',
+            tpl_errors:      'Some changes were not applied',
+            preview_prompt:  'Injected prompt',
+            preview_extraction: 'Extraction prompt',
+            preview_extraction_for: 'Extraction prompt for message #%1',
+            preview_none:    'No AI message in this chat yet.',
+
+            weekdays:    ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+            clock_12h:   '%1 %2',
+            clock_am:    'AM',
+            clock_pm:    'PM',
+            ph_clock_12h: 'h:MM AM/PM',
+            ph_weekday:  'DayOfWeek',
+
+            ph_name: 'CharacterName', ph_outfit: 'What they wear', ph_state: 'Emotional/physical state',
+            ph_position: 'Where in the scene', ph_item_gained: 'Item gained', ph_item_lost: 'Item lost',
+            ph_quest_title: 'Quest title', ph_quest_note: 'Short progress note', ph_reason: 'Short reason',
+            hint_location: 'Full Location Description',
+            hint_weather:  'Weather Description, Temperature',
+            example_location: 'Mako Crystal Cave, Eastern Trail, Mount Nibel',
+            example_weather:  'Cool and damp, sunny outside, 57°F',
+            example_outfits:   ['Casual hoodie', 'Blue dress', 'Casual jeans'],
+            example_states:    ['Relaxed', 'Happy', 'Nervous'],
+            example_positions: ['Standing by the fountain', 'Near the fountain', 'On the bench'],
+            example_item_gained: 'Rusty key',
+            example_item_lost:   'Potion',
+            example_quest_title: 'Find the Mako crystal',
+            example_quest_note:  'Rumored to lie deeper in the cave',
+
+            p_intro:         'At the end of EVERY response, after all narrative content, include {{output_format}}:',
+            p_format_tags:   'the following tracker tags',
+            p_format_json:   'a tracker block of valid JSON',
+            p_language:      '',
+            p_escape:        'Write a literal ], [ or | inside a value as \\], \\[ or \\|.',
+            p_commands:      'Lines starting with /tracker in {{user}}\'s messages are tracker commands, not part of the story. Ignore them.',
+            p_char_tags:     'Add one %1 line for EVERY person present in the scene, INCLUDING {{user}}.',
+            p_char_json:     'List EVERY person present in the scene, INCLUDING {{user}}, in %1.',
+            p_inv_title:     'Inventory Rules:',
+            p_inv_tags:      'Add an %1 line for a character only when their items change. ' +
+                             'Use +Item for items gained and -Item for items lost, or list every item separated by commas ' +
+                             'to replace that character\'s whole inventory. Keep item names consistent with the current state.',
+            p_inv_json:      'Add a character to %1 only when their items change. ' +
+                             'Use "add" for items gained and "remove" for items lost, or give a list of every item ' +
+                             'to replace that character\'s whole inventory. Keep item names consistent with the current state.',
+            p_quest_title:   'Quest Rules:',
+            p_quest_tags:    'Add a %1 line only when an objective is started, makes progress, is completed or fails.',
+            p_quest_json:    'Add a quest to %1 only when an objective is started, makes progress, is completed or fails.',
+            p_quest_status:  'Use status: active, done or failed, and reuse the exact title of an existing quest when updating it.',
+            p_heart_title:   'Heart Meter Rules:',
+            p_heart_single:  'Assess the relationship and assign heart points showing the romantic interest the character has for {{user}}.',
+            p_heart_per:     'Assess each character\'s relationship with {{user}} separately and assign heart points showing the romantic interest ' +
+                             'that character has for {{user}}. List one Name=points entry for every character except {{user}}.',
+            p_heart_limits:  'The maximum change per message is ±10,000 points. Range: 0–69,999.',
+            p_heart_ranges:  'Heart point ranges:',
+            p_heart_reason:  'When the points change, you may add a short reason: %1.',
+            tiers:           ['Black Heart', 'Purple Heart', 'Blue Heart', 'Green Heart', 'Yellow Heart', 'Orange Heart', 'Red Heart'],
+            p_corrections:   'Tracker corrections (your previous tags broke these rules; keep the next tags consistent):',
+            p_off_scene:     'Characters who left the scene, with their last known details. If one of them returns, keep these details unless the story changes them:',
+            p_milestone:     'The relationship just reached a turning point. Follow this direction in your next reply:',
+            p_state:         'Current tracker state (continue from here):',
+            p_example:       'Example:',
+            p_update:        'Update ONLY values that have changed.',
+            p_omit_tag:      'Never omit any tag.',
+            p_omit_key:      'Never omit any key.',
+            p_omit_tag_except: 'Never omit any tag except %1, which are only needed when they change.',
+            p_omit_key_except: 'Never omit any key except %1, which are only needed when they change.',
+            p_and:           ' and ',
+            p_unknown:       'unknown',
+            p_nothing:       'nothing',
+            p_no_values:     'no values yet',
+
+            x_intro:    '[OOC: Do NOT continue the story. Do NOT write any narrative. ' +
+                        'Analyze the following message and extract scene information from it.',
+            x_message:  'Message to analyze:',
+            x_previous: 'Previous tracker state for reference:',
+            x_carry:    'Carry forward any values that the message above does not change.',
+            x_output:   'Based on what is described in the message above, output ONLY {{output_format}}:',
+            x_only:     'Output ONLY the tracker data. No other text.',
+            x_none:     'None — this is the first tracked message.',
+        },
+
+        ja: {
+            label_time: '時刻', label_location: '場所', label_weather: '天気', label_heart: 'ハートメーター',
+            label_characters: '登場人物', label_inventory: '持ち物', label_quests: 'クエスト',
+            unknown: '不明', tracker: 'トラッカー', outfit: '服装', state: '状態', position: '位置', empty: '（なし）',
+
+            edit_heart:      'ハートポイント',
+            edit_heart_reason: 'ハートの理由',
+            edit_heart_list: 'ハートポイント（名前=N — 複数は ; で区切る）',
+            edit_characters: '登場人物（名前 | outfit: X | state: Y | position: Z  — 複数は ; で区切る）',
+            edit_inventory:  '持ち物（名前 | アイテム, アイテム  — キャラクターごとに ; で区切る）',
+            edit_list:       '%1（複数は , で区切る）',
+            quest_add:       'クエストを追加（タイトル | note: X  — 複数は ; で区切る）',
+            place_message:   '1件のメッセージ',
+            place_messages:  '%1件のメッセージ',
+            place_first:     '初回 %1',
+            place_last:      '最終 %1',
+            place_with:      '同席：%1',
+            places_empty:    'まだ訪れた場所はありません。',
+            history_range:   'チャット全体のハートポイント（%1〜%2）',
+            history_changes: '変化',
+            history_none:    'まだハートの変化はありません。',
+            versions_current: '%1（現在）',
+            versions_initial: '最初のバージョン',
+            versions_same:   '変更なし',
+            versions_restore: '復元するバージョン（番号）',
+            sources:         { ai: 'AIタグ', auto: '自動生成', regenerate: '再生成', rebuild: '再構築', edit: '手動編集',
+                               command: 'ユーザーコマンド', api: 'API', restore: '復元', stopped: '中断された生成',
+                               undo: '元に戻す', redo: 'やり直し', rollback: 'メッセージ削除', reset: 'リセット', chat: 'チャット切り替え' },
+            milestone_up:    '%1に到達',
+            milestone_down:  '%1に低下',
+            cmd_unknown:     '不明なトラッカーコマンド：%1',
+            updating:        '更新中…',
+            cmd_no_time:     '現在の時刻に動かせる時計がありません',
+            cmd_not_here:    '%1はシーンにいません',
+            cmd_too_late:    '後の返信があるため適用されません：%1',
+            cmd_single_heart: 'このチャットのハートメーターは1つです。名前を付けずに入力してください：%1',
+            off_scene:       '退場中',
+            last_seen:       '最後の登場：メッセージ #%1',
+            mark_new:        '（新）',
+            mark_left:       '（退場）',
+            mark_was:        '（前：%1）',
+
+            v_heart:          'ハート',
+            v_heart_of:       '%1のハート',
+            v_above:          '%1 %2 が上限の %3 を超えています。',
+            v_above_clamp:    '%1 %2 が上限の %3 を超えています — %3 に補正しました。',
+            v_jump:           '%1が %2 から %3 に変わりました（1メッセージにつき最大±%4）。',
+            v_jump_clamp:     '%1が %2 から %3 に変わりました（1メッセージにつき最大±%4） — %5 に補正しました。',
+            v_time:           '時刻が「%1」から「%2」に戻りました。',
+            v_time_clamp:     '時刻が「%1」から「%2」に戻りました — 「%1」のままにしました。',
+            v_weather:        '天気が %3 のうちに「%1」から「%2」に変わりました。',
+            v_weather_clamp:  '天気が %3 のうちに「%1」から「%2」に変わりました — 「%1」のままにしました。',
+            v_vanished:       '%1が言及されないままシーンから消えました。',
+            v_vanished_clamp: '%1が言及されないままシーンから消えました — シーンに残しました。',
+
+            rebuild_progress: 'トラッカーを再構築中… %1 / %2（長押しでキャンセル）',
+            rebuild_done:     'AIメッセージ %2 件中 %1 件を再構築しました',
+            rebuild_summary:  '解析：%1\n推測：%2\n失敗：%3',
+            rebuild_stopped:  '%2 件中 %1 件で停止しました。',
+
+            title_edit:      'トラッカーの編集',
+            title_quests:    'クエスト',
+            title_versions:  'トラッカーの履歴 #%1',
+            title_hearts:    'ハートの履歴',
+            title_places:    '訪れた場所',
+            title_rebuild:   'トラッカーの再構築',
+            title_settings:  'トラッカーの設定',
+            title_templates: 'プロンプトテンプレート',
+            title_preview:   'プロンプトのプレビュー',
+
+            set_enabled:     'トラッカーを有効にする',
+            set_show:        '%1を表示',
+            set_highlight:   '変化を強調：%1',
+            set_scan_depth:  'スキャンの深さ',
+            set_heart_default: 'ハートポイントの初期値',
+            set_heart_mode:  'ハートメーター',
+            set_tag_format:  'タグの形式',
+            set_retries:     '推測の再試行回数',
+            set_stopped:     '中断された生成',
+            set_temperature: '温度の単位',
+            set_locale:      '言語',
+            set_time_format: '時刻の形式',
+            set_date_order:  '日付の順序',
+            set_choices:     '%1（%2）',
+            set_reset:       '「reset」と入力すると、このチャットのトラッカーの状態を消去します',
+            set_preset:      '「save」と入力すると、この表示設定とタグの形式を%1専用にします。「clear」でそのプリセットを削除します',
+            set_errors:      '次の値は保存されませんでした',
+            rules:           { heartRange: 'ハートの範囲ルール', heartDelta: 'ハートの急変ルール', timeBackwards: '時刻の逆行ルール',
+                               characterVanished: '人物の消失ルール', weatherConsistency: '天気の一貫性ルール' },
+            err_number:      '%1は %2 から %3 までの整数にしてください。',
+            err_option:      '%1は次のいずれかにしてください：%2。',
+            err_toggle:      '%1は on か off にしてください。',
+
+            tpl_prompt:      '挿入プロンプトのテンプレート — プレースホルダー：%1',
+            tpl_extraction:  '抽出プロンプトのテンプレート — {{message}} と {{previous_state}} も使えます',
+            tpl_load:        'プリセットを読み込む（%1）',
+            tpl_none_saved:  '保存なし',
+            tpl_save:        'プリセットとして保存（名前）',
+            tpl_delete:      'プリセットを削除（名前）',
+            tpl_command:     '「preview」と入力すると完成したプロンプトを表示し、「default」で組み込みのテンプレートに戻します',
+            tpl_no_preset:   '「%1」という名前のプリセットはありません。',
+            tpl_bad_command: '不明なコマンド「%1」です。preview か default を使ってください。',
+            tpl_errors:      '一部の変更は適用されませんでした',
+            preview_prompt:  '挿入プロンプト',
+            preview_extraction: '抽出プロンプト',
+            preview_extraction_for: 'メッセージ #%1 の抽出プロンプト',
+            preview_none:    'このチャットにはまだAIメッセージがありません。',
+
+            weekdays:    ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'],
+            clock_12h:   '%2%1',
+            clock_am:    '午前',
+            clock_pm:    '午後',
+            ph_clock_12h: '午前/午後h:MM',
+            ph_weekday:  '曜日',
+
+            ph_name: 'キャラクター名', ph_outfit: '服装', ph_state: '感情・身体の状態',
+            ph_position: 'シーン内の位置', ph_item_gained: '入手したアイテム', ph_item_lost: '失ったアイテム',
+            ph_quest_title: 'クエスト名', ph_quest_note: '短い進行メモ', ph_reason: '短い理由',
+            hint_location: '場所の詳しい説明',
+            hint_weather:  '天気の説明、気温',
+            example_location: '魔晄クリスタルの洞窟、東の小道、ニブル山',
+            example_weather:  '涼しく湿っている、外は晴れ、14°C',
+            example_outfits:   ['カジュアルなパーカー', '青いドレス', 'ラフなジーンズ'],
+            example_states:    ['リラックスしている', '嬉しそう', '緊張している'],
+            example_positions: ['噴水のそばに立っている', '噴水の近く', 'ベンチの上'],
+            example_item_gained: '錆びた鍵',
+            example_item_lost:   'ポーション',
+            example_quest_title: '魔晄クリスタルを見つける',
+            example_quest_note:  '洞窟の奥にあるという噂',
+
+            p_intro:         'すべての応答の最後、物語の本文の後に、{{output_format}}を含めてください：',
+            p_format_tags:   '次のトラッカータグ',
+            p_format_json:   '有効なJSONのトラッカーブロック',
+            p_language:      'トラッカーの値は日本語で書いてください。タグ名とキー（outfit:、state: など）は英語のままにしてください。',
+            p_escape:        '値の中の ]、[、| はそれぞれ \\]、\\[、\\| と書いてください。',
+            p_commands:      '{{user}}のメッセージ内の /tracker で始まる行はトラッカーコマンドであり、物語の一部ではありません。無視してください。',
+            p_char_tags:     'シーンにいるすべての人物（{{user}}を含む）について、%1 の行を1つずつ追加してください。',
+            p_char_json:     'シーンにいるすべての人物（{{user}}を含む）を %1 に列挙してください。',
+            p_inv_title:     '持ち物のルール：',
+            p_inv_tags:      '%1 の行は、キャラクターの持ち物が変わったときだけ追加してください。' +
+                             '入手したアイテムは +アイテム、失ったアイテムは -アイテム と書くか、すべてのアイテムをカンマ区切りで列挙して持ち物全体を置き換えてください。' +
+                             'アイテム名は現在の状態と一致させてください。',
+            p_inv_json:      'キャラクターの持ち物が変わったときだけ %1 に追加してください。' +
+                             '入手したアイテムは "add"、失ったアイテムは "remove" に入れるか、すべてのアイテムのリストを指定して持ち物全体を置き換えてください。' +
+                             'アイテム名は現在の状態と一致させてください。',
+            p_quest_title:   'クエストのルール：',
+            p_quest_tags:    '%1 の行は、目標が始まったとき、進んだとき、達成されたとき、失敗したときだけ追加してください。',
+            p_quest_json:    '目標が始まったとき、進んだとき、達成されたとき、失敗したときだけ %1 にクエストを追加してください。',
+            p_quest_status:  'status には active、done、failed のいずれかを使い、既存のクエストを更新するときはタイトルをそのまま使ってください。',
+            p_heart_title:   'ハートメーターのルール：',
+            p_heart_single:  '関係を評価し、キャラクターが{{user}}に抱いている恋愛感情をハートポイントで示してください。',
+            p_heart_per:     '各キャラクターと{{user}}との関係を個別に評価し、そのキャラクターが{{user}}に抱いている恋愛感情をハートポイントで示してください。' +
+                             '{{user}}以外のすべてのキャラクターについて Name=points の項目を1つずつ記載してください。',
+            p_heart_limits:  '1メッセージあたりの最大変化量は±10,000ポイントです。範囲：0〜69,999。',
+            p_heart_ranges:  'ハートポイントの範囲：',
+            p_heart_reason:  'ポイントが変わったときは、短い理由を添えてもかまいません：%1。',
+            tiers:           ['黒いハート', '紫のハート', '青いハート', '緑のハート', '黄色いハート', 'オレンジのハート', '赤いハート'],
+            p_corrections:   'トラッカーの修正（前回のタグは次のルールに違反していました。次のタグでは整合性を保ってください）：',
+            p_off_scene:     'シーンを離れたキャラクターと、最後に分かっている詳細です。再登場したときは、物語で変わらない限りこれらの詳細を使ってください：',
+            p_milestone:     '関係が転機を迎えました。次の応答では、この指示に従ってください：',
+            p_state:         '現在のトラッカーの状態（ここから続けてください）：',
+            p_example:       '例：',
+            p_update:        '変化した値だけを更新してください。',
+            p_omit_tag:      'タグは一つも省略しないでください。',
+            p_omit_key:      'キーは一つも省略しないでください。',
+            p_omit_tag_except: '%1 は変化したときだけ必要です。それ以外のタグは一つも省略しないでください。',
+            p_omit_key_except: '%1 は変化したときだけ必要です。それ以外のキーは一つも省略しないでください。',
+            p_and:           '、',
+            p_unknown:       '不明',
+            p_nothing:       'なし',
+            p_no_values:     'まだ値なし',
+
+            x_intro:    '[OOC: 物語を続けないでください。物語の文章は一切書かないでください。' +
+                        '次のメッセージを分析し、シーンの情報を抽出してください。',
+            x_message:  '分析するメッセージ：',
+            x_previous: '参考：前回のトラッカーの状態：',
+            x_carry:    '上のメッセージで変化しない値はそのまま引き継いでください。',
+            x_output:   '上のメッセージの内容に基づいて、{{output_format}}だけを出力してください：',
+            x_only:     'トラッカーのデータだけを出力し、他の文章は書かないでください。',
+            x_none:     'なし（最初に記録されるメッセージです）',
+        },
+
+        de: {
+            label_time: 'Uhrzeit', label_location: 'Ort', label_weather: 'Wetter', label_heart: 'Herzmeter',
+            label_characters: 'Anwesende Figuren', label_inventory: 'Inventar', label_quests: 'Quests',
+            unknown: 'Unbekannt', tracker: 'Tracker', outfit: 'Kleidung', state: 'Zustand', position: 'Position', empty: '(leer)',
+
+            edit_heart:      'Herzpunkte',
+            edit_heart_reason: 'Grund für die Herzpunkte',
+            edit_heart_list: 'Herzpunkte (Name=N — mehrere mit ; trennen)',
+            edit_characters: 'Figuren (Name | outfit: X | state: Y | position: Z  — mehrere mit ; trennen)',
+            edit_inventory:  'Inventar (Name | Gegenstand, Gegenstand  — Figuren mit ; trennen)',
+            edit_list:       '%1 (mehrere mit , trennen)',
+            quest_add:       'Quests hinzufügen (Titel | note: X  — mehrere mit ; trennen)',
+            place_message:   '1 Nachricht',
+            place_messages:  '%1 Nachrichten',
+            place_first:     'zuerst %1',
+            place_last:      'zuletzt %1',
+            place_with:      'mit %1',
+            places_empty:    'Noch keine Orte besucht.',
+            history_range:   'Herzpunkte im Chatverlauf (%1–%2)',
+            history_changes: 'Änderungen',
+            history_none:    'Noch keine Änderungen der Herzpunkte.',
+            versions_current: '%1 (aktuell)',
+            versions_initial: 'Erste Version',
+            versions_same:   'Keine Änderungen',
+            versions_restore: 'Version wiederherstellen (Nummer)',
+            sources:         { ai: 'KI-Tags', auto: 'Automatisch erzeugt', regenerate: 'Neu erzeugt', rebuild: 'Neu aufgebaut',
+                               edit: 'Manuell bearbeitet', command: 'Benutzerbefehl', api: 'API', restore: 'Wiederhergestellt',
+                               stopped: 'Abgebrochene Generierung', undo: 'Rückgängig', redo: 'Wiederholt',
+                               rollback: 'Nachricht gelöscht', reset: 'Zurückgesetzt', chat: 'Chat gewechselt' },
+            milestone_up:    '%1 erreicht',
+            milestone_down:  'Auf %1 gefallen',
+            cmd_unknown:     'Unbekannter Tracker-Befehl: %1',
+            updating:        'wird aktualisiert…',
+            cmd_no_time:     'Die aktuelle Zeit hat keine Uhrzeit zum Verschieben',
+            cmd_not_here:    '%1 ist nicht in der Szene',
+            cmd_too_late:    'Nicht angewendet, es gibt schon eine spätere Antwort: %1',
+            cmd_single_heart: 'Dieser Chat hat nur ein Herzmeter; ohne Namen eingeben: %1',
+            off_scene:       'Nicht in der Szene',
+            last_seen:       'Zuletzt gesehen: Nachricht #%1',
+            mark_new:        ' (neu)',
+            mark_left:       ' (gegangen)',
+            mark_was:        ' (vorher: %1)',
+
+            v_heart:          'Herz',
+            v_heart_of:       'Herz von %1',
+            v_above:          '%1 %2 liegt über dem Maximum von %3.',
+            v_above_clamp:    '%1 %2 liegt über %3 — auf %3 begrenzt.',
+            v_jump:           '%1 sprang von %2 auf %3 (max. ±%4 pro Nachricht).',
+            v_jump_clamp:     '%1 sprang von %2 auf %3 (max. ±%4 pro Nachricht) — auf %5 begrenzt.',
+            v_time:           'Die Zeit lief von „%1“ zurück auf „%2“.',
+            v_time_clamp:     'Die Zeit lief von „%1“ zurück auf „%2“ — „%1“ beibehalten.',
+            v_weather:        'Das Wetter wechselte innerhalb von %3 von „%1“ zu „%2“.',
+            v_weather_clamp:  'Das Wetter wechselte innerhalb von %3 von „%1“ zu „%2“ — „%1“ beibehalten.',
+            v_vanished:       '%1 verschwand aus der Szene, ohne erwähnt zu werden.',
+            v_vanished_clamp: '%1 verschwand aus der Szene, ohne erwähnt zu werden — in der Szene behalten.',
+
+            rebuild_progress: 'Tracker wird neu aufgebaut… %1 / %2 (lange drücken zum Abbrechen)',
+            rebuild_done:     '%1 von %2 KI-Nachrichten neu aufgebaut',
+            rebuild_summary:  'Ausgelesen: %1\nErschlossen: %2\nFehlgeschlagen: %3',
+            rebuild_stopped:  'Nach %1 von %2 Nachrichten angehalten.',
+
+            title_edit:      'Tracker bearbeiten',
+            title_quests:    'Quests',
+            title_versions:  'Tracker-Verlauf #%1',
+            title_hearts:    'Herz-Verlauf',
+            title_places:    'Besuchte Orte',
+            title_rebuild:   'Tracker-Neuaufbau',
+            title_settings:  'Tracker-Einstellungen',
+            title_templates: 'Prompt-Vorlagen',
+            title_preview:   'Prompt-Vorschau',
+
+            set_enabled:     'Tracker aktiv',
+            set_show:        '%1 anzeigen',
+            set_highlight:   'Änderungen hervorheben: %1',
+            set_scan_depth:  'Scantiefe',
+            set_heart_default: 'Standard-Herzpunkte',
+            set_heart_mode:  'Herzanzeige',
+            set_tag_format:  'Tag-Format',
+            set_retries:     'Wiederholungen beim Erschließen',
+            set_stopped:     'Abgebrochene Generierung',
+            set_temperature: 'Temperatureinheit',
+            set_locale:      'Sprache',
+            set_time_format: 'Zeitformat',
+            set_date_order:  'Datumsreihenfolge',
+            set_choices:     '%1 (%2)',
+            set_reset:       '„reset“ eingeben, um den Tracker-Zustand dieses Chats zu löschen',
+            set_preset:      '„save“ eingeben, um diese Schalter und das Tag-Format nur für %1 zu behalten, oder „clear“, um das Preset zu entfernen',
+            set_errors:      'Diese Werte wurden nicht gespeichert',
+            rules:           { heartRange: 'Regel Herzbereich', heartDelta: 'Regel Herzsprung', timeBackwards: 'Regel Zeit rückwärts',
+                               characterVanished: 'Regel verschwundene Figuren', weatherConsistency: 'Regel Wetterkonsistenz' },
+            err_number:      '%1 muss eine ganze Zahl von %2 bis %3 sein.',
+            err_option:      '%1 muss einer dieser Werte sein: %2.',
+            err_toggle:      '%1 muss on oder off sein.',
+
+            tpl_prompt:      'Vorlage des eingefügten Prompts — Platzhalter: %1',
+            tpl_extraction:  'Vorlage des Extraktions-Prompts — zusätzlich {{message}} und {{previous_state}}',
+            tpl_load:        'Preset laden (%1)',
+            tpl_none_saved:  'keine gespeichert',
+            tpl_save:        'Als Preset speichern (Name)',
+            tpl_delete:      'Preset löschen (Name)',
+            tpl_command:     '„preview“ eingeben, um die fertigen Prompts zu sehen, oder „default“, um die eingebauten Vorlagen wiederherzustellen',
+            tpl_no_preset:   'Kein Preset namens „%1“.',
+            tpl_bad_command: 'Unbekannter Befehl „%1“; preview oder default verwenden.',
+            tpl_errors:      'Einige Änderungen wurden nicht übernommen',
+            preview_prompt:  'Eingefügter Prompt',
+            preview_extraction: 'Extraktions-Prompt',
+            preview_extraction_for: 'Extraktions-Prompt für Nachricht #%1',
+            preview_none:    'In diesem Chat gibt es noch keine KI-Nachricht.',
+
+            weekdays:    ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+            clock_12h:   '%1 %2',
+            clock_am:    'AM',
+            clock_pm:    'PM',
+            ph_clock_12h: 'h:MM AM/PM',
+            ph_weekday:  'Wochentag',
+
+            ph_name: 'Figurenname', ph_outfit: 'Was sie trägt', ph_state: 'Emotionaler/körperlicher Zustand',
+            ph_position: 'Wo in der Szene', ph_item_gained: 'Erhaltener Gegenstand', ph_item_lost: 'Verlorener Gegenstand',
+            ph_quest_title: 'Quest-Titel', ph_quest_note: 'Kurze Fortschrittsnotiz', ph_reason: 'Kurzer Grund',
+            hint_location: 'Vollständige Ortsbeschreibung',
+            hint_weather:  'Wetterbeschreibung, Temperatur',
+            example_location: 'Mako-Kristallhöhle, Östlicher Pfad, Berg Nibel',
+            example_weather:  'Kühl und feucht, draußen sonnig, 14°C',
+            example_outfits:   ['Lässiger Hoodie', 'Blaues Kleid', 'Lässige Jeans'],
+            example_states:    ['Entspannt', 'Fröhlich', 'Nervös'],
+            example_positions: ['Steht am Brunnen', 'In der Nähe des Brunnens', 'Auf der Bank'],
+            example_item_gained: 'Rostiger Schlüssel',
+            example_item_lost:   'Heiltrank',
+            example_quest_title: 'Finde den Mako-Kristall',
+            example_quest_note:  'Soll tiefer in der Höhle liegen',
+
+            p_intro:         'Füge am Ende JEDER Antwort, nach dem gesamten Erzähltext, {{output_format}} ein:',
+            p_format_tags:   'die folgenden Tracker-Tags',
+            p_format_json:   'einen Tracker-Block aus gültigem JSON',
+            p_language:      'Schreibe die Tracker-Werte auf Deutsch. Tag-Namen und Schlüssel (outfit:, state: usw.) bleiben englisch.',
+            p_escape:        'Schreibe ein ], [ oder | innerhalb eines Werts als \\], \\[ oder \\|.',
+            p_commands:      'Zeilen, die in Nachrichten von {{user}} mit /tracker beginnen, sind Tracker-Befehle und nicht Teil der Geschichte. Ignoriere sie.',
+            p_char_tags:     'Füge für JEDE Person in der Szene, EINSCHLIESSLICH {{user}}, eine %1-Zeile hinzu.',
+            p_char_json:     'Liste JEDE Person in der Szene, EINSCHLIESSLICH {{user}}, in %1 auf.',
+            p_inv_title:     'Inventar-Regeln:',
+            p_inv_tags:      'Füge eine %1-Zeile für eine Figur nur hinzu, wenn sich ihre Gegenstände ändern. ' +
+                             'Verwende +Gegenstand für erhaltene und -Gegenstand für verlorene Gegenstände, oder liste alle Gegenstände ' +
+                             'durch Kommas getrennt auf, um das gesamte Inventar der Figur zu ersetzen. ' +
+                             'Halte die Namen der Gegenstände konsistent mit dem aktuellen Stand.',
+            p_inv_json:      'Füge eine Figur nur dann zu %1 hinzu, wenn sich ihre Gegenstände ändern. ' +
+                             'Verwende "add" für erhaltene und "remove" für verlorene Gegenstände, oder gib eine Liste aller Gegenstände an, ' +
+                             'um das gesamte Inventar der Figur zu ersetzen. Halte die Namen der Gegenstände konsistent mit dem aktuellen Stand.',
+            p_quest_title:   'Quest-Regeln:',
+            p_quest_tags:    'Füge eine %1-Zeile nur hinzu, wenn ein Ziel beginnt, Fortschritte macht, erreicht wird oder scheitert.',
+            p_quest_json:    'Füge eine Quest nur dann zu %1 hinzu, wenn ein Ziel beginnt, Fortschritte macht, erreicht wird oder scheitert.',
+            p_quest_status:  'Verwende status: active, done oder failed und übernimm beim Aktualisieren einer bestehenden Quest exakt ihren Titel.',
+            p_heart_title:   'Herzmeter-Regeln:',
+            p_heart_single:  'Bewerte die Beziehung und vergib Herzpunkte, die das romantische Interesse der Figur an {{user}} zeigen.',
+            p_heart_per:     'Bewerte die Beziehung jeder Figur zu {{user}} einzeln und vergib Herzpunkte, die das romantische Interesse ' +
+                             'dieser Figur an {{user}} zeigen. Gib für jede Figur außer {{user}} einen Eintrag Name=Punkte an.',
+            p_heart_limits:  'Die maximale Änderung pro Nachricht beträgt ±10.000 Punkte. Bereich: 0–69.999.',
+            p_heart_ranges:  'Herzpunkte-Bereiche:',
+            p_heart_reason:  'Wenn sich die Punkte ändern, kannst du einen kurzen Grund angeben: %1.',
+            tiers:           ['Schwarzes Herz', 'Lila Herz', 'Blaues Herz', 'Grünes Herz', 'Gelbes Herz', 'Oranges Herz', 'Rotes Herz'],
+            p_corrections:   'Tracker-Korrekturen (deine letzten Tags haben diese Regeln verletzt; halte die nächsten Tags konsistent):',
+            p_off_scene:     'Figuren, die die Szene verlassen haben, mit ihren zuletzt bekannten Details. Kehrt eine von ihnen zurück, behalte diese Details bei, sofern die Geschichte sie nicht ändert:',
+            p_milestone:     'Die Beziehung hat gerade einen Wendepunkt erreicht. Folge in deiner nächsten Antwort dieser Anweisung:',
+            p_state:         'Aktueller Tracker-Stand (mach hier weiter):',
+            p_example:       'Beispiel:',
+            p_update:        'Aktualisiere NUR Werte, die sich geändert haben.',
+            p_omit_tag:      'Lass niemals einen Tag weg.',
+            p_omit_key:      'Lass niemals einen Schlüssel weg.',
+            p_omit_tag_except: 'Lass niemals einen Tag weg, außer %1, die nur bei Änderungen nötig sind.',
+            p_omit_key_except: 'Lass niemals einen Schlüssel weg, außer %1, die nur bei Änderungen nötig sind.',
+            p_and:           ' und ',
+            p_unknown:       'unbekannt',
+            p_nothing:       'nichts',
+            p_no_values:     'noch keine Werte',
+
+            x_intro:    '[OOC: Setze die Geschichte NICHT fort. Schreibe KEINEN Erzähltext. ' +
+                        'Analysiere die folgende Nachricht und entnimm ihr die Szeneninformationen.',
+            x_message:  'Zu analysierende Nachricht:',
+            x_previous: 'Vorheriger Tracker-Stand zur Orientierung:',
+            x_carry:    'Übernimm alle Werte, die die obige Nachricht nicht ändert.',
+            x_output:   'Gib auf Grundlage der obigen Nachricht NUR {{output_format}} aus:',
+            x_only:     'Gib NUR die Tracker-Daten aus. Keinen anderen Text.',
+            x_none:     'Keiner – dies ist die erste erfasste Nachricht.',
+        },
+    };
+
+    function getLocale() {
+        var locale = getSettings().locale;
+        return STRINGS[locale] ? locale : 'en';
     }
 
-    function getHeartEmoji(points) {
-        if (points < 5000)  return '\uD83D\uDDA4';  // 🖤
-        if (points < 20000) return '\uD83D\uDC9C';  // 💜
-        if (points < 30000) return '\uD83D\uDC99';  // 💙
-        if (points < 40000) return '\uD83D\uDC9A';  // 💚
-        if (points < 50000) return '\uD83D\uDC9B';  // 💛
-        if (points < 60000) return '\uD83E\uDDE1';  // 🧡
-        return '\u2764\uFE0F';                       // ❤️
+    /**
+     * Looks up a string in the active locale, falling back to English, and
+     * fills in %1, %2… with the remaining arguments.
+     *
+     * @param {string} key
+     * @returns {*} the string (or array, for list entries such as weekdays)
+     */
+    function t(key) {
+        var table = STRINGS[getLocale()];
+        var value = table[key] !== undefined ? table[key] : STRINGS.en[key];
+        if (typeof value !== 'string') return value;
+        var args = arguments;
+        return value.replace(/%(\d)/g, function (match, n) {
+            return args[n] !== undefined ? String(args[n]) : match;
+        });
     }
 
-    // -------------------------------------------------------------------------
-    // Tag parsing
-    // -------------------------------------------------------------------------
+    function formatNumber(value) {
+        return value.toLocaleString(LOCALE_TAGS[getLocale()]);
+    }
 
     /**
-     * Extracts all tracker tags from an AI message string.
-     * Returns time/location/weather/heart as strings (or null if absent)
-     * and characters as an array of { name, outfit, state, position } objects.
+     * Label, hint or example of a field in the active locale. Built-in
+     * fields whose text still matches the shipped default are translated
+     * (the time hint and example also follow the time and date format);
+     * customized text is shown as written.
      *
-     * @param {string} text
-     * @returns {{ time, location, weather, heart, characters }}
+     * @param {object} field
+     * @param {string} prop  'label', 'hint' or 'example'
+     * @returns {string}
      */
-    function parseTags(text) {
-        function extract(pattern) {
-            var match = text.match(pattern);
-            return match ? match[1].trim() : null;
-        }
+    function fieldText(field, prop) {
+        var builtin = findField(DEFAULT_FIELDS, field.key);
+        if (!builtin || builtin[prop] === undefined || field[prop] !== builtin[prop]) return field[prop];
+        if (prop === 'label') return t('label_' + field.key);
 
-        // Extract all [char: ...] tags — one per character in the scene.
-        var characters = [];
-        var charRegex  = /\[char:\s*([^\]]+)\]/gi;
-        var charMatch;
-        while ((charMatch = charRegex.exec(text)) !== null) {
-            var charLine = charMatch[1].trim();
-            var parts    = charLine.split('|').map(function (p) { return p.trim(); });
-            var charObj  = { name: '', outfit: '', state: '', position: '' };
-            for (var i = 0; i < parts.length; i++) {
-                var part = parts[i];
-                var sep  = part.indexOf(':');
-                if (sep === -1) {
-                    // No colon — treat the first bare token as the character name.
-                    if (i === 0 && !charObj.name) charObj.name = part;
-                } else {
-                    var k = part.slice(0, sep).trim().toLowerCase();
-                    var v = part.slice(sep + 1).trim();
-                    if      (k === 'name')     charObj.name     = v;
-                    else if (k === 'outfit')   charObj.outfit   = v;
-                    else if (k === 'state')    charObj.state    = v;
-                    else if (k === 'position') charObj.position = v;
-                    else if (i === 0 && !charObj.name) charObj.name = part;
-                }
-            }
-            if (charObj.name) characters.push(charObj);
+        if (field.key === 'time') {
+            return prop === 'hint'
+                ? buildClockHint() + '; ' + buildDateHint() + ' (' + t('ph_weekday') + ')'
+                : formatClock(8 * 60 + 15) + '; ' + formatDate(2001, 5, 21) + ' (' + t('weekdays')[1] + ')';
         }
+        if (field.key === 'weather') {
+            // Ask for the preferred unit; 'both' is added when the header is built.
+            var unit = getTemperatureUnit();
+            var text = t(prop + '_weather');
+            if (unit !== 'C' && unit !== 'F') return text;
+            return prop === 'example' ? formatWeatherValue(text) : text + ' (\u00B0' + unit + ')';
+        }
+        if (prop === 'example') {
+            return field.key === 'location' ? t('example_location') : field[prop];
+        }
+        if (field.key === 'characters') {
+            return t('ph_name') + ' | outfit: ' + t('ph_outfit') + ' | state: ' + t('ph_state') + ' | position: ' + t('ph_position');
+        }
+        if (field.key === 'inventory') return t('ph_name') + ' | +' + t('ph_item_gained') + ' | -' + t('ph_item_lost');
+        if (field.key === 'quests')    return t('ph_quest_title') + ' | status: active/done/failed | note: ' + t('ph_quest_note');
+        if (field.key === 'location') return t('hint_location');
+        return field[prop];
+    }
 
-        return {
-            time:       extract(/\[time:\s*([^\]]+)\]/i),
-            location:   extract(/\[location:\s*([^\]]+)\]/i),
-            weather:    extract(/\[weather:\s*([^\]]+)\]/i),
-            heart:      extract(/\[heart:\s*([^\]]+)\]/i),
-            characters: characters,
-        };
+    // -------------------------------------------------------------------------
+    // Time helpers
+    // -------------------------------------------------------------------------
+
+    function pad2(n) {
+        return (n < 10 ? '0' : '') + n;
     }
 
-    function hasTags(tags) {
-        return tags.time !== null || tags.location !== null ||
-               tags.weather !== null || tags.heart !== null ||
-               (tags.characters && tags.characters.length > 0);
+    // Clock at the start of a time value: "8:15 AM", "14:30", "午後3:15", "14:30 Uhr".
+    var CLOCK_SOURCE  = '(?:(午前|午後)\\s*)?(\\d{1,2}):(\\d{2})(?::\\d{2})?(?:\\s*([AaPp])\\.?\\s*[Mm]\\.?)?(?:\\s*Uhr\\b)?';
+    var CLOCK_PATTERN = new RegExp(CLOCK_SOURCE);
+    var CLOCK_PREFIX  = new RegExp('^\\s*' + CLOCK_SOURCE);
+
+    /**
+     * Minutes since midnight of a CLOCK_PATTERN match, or null when the
+     * clock is invalid. An AM/PM marker on a 13–23 hour is ignored.
+     */
+    function clockMinutes(match) {
+        var hours   = parseInt(match[2], 10);
+        var minutes = parseInt(match[3], 10);
+        var period  = match[1] ? (match[1] === '午後' ? 'P' : 'A') : (match[4] ? match[4].toUpperCase() : null);
+        if (minutes > 59) return null;
+        if (period && hours >= 1 && hours <= 12) {
+            hours = hours % 12 + (period === 'P' ? 12 : 0);
+        } else if (hours > 23) {
+            return null;
+        }
+        return hours * 60 + minutes;
     }
 
-    // -------------------------------------------------------------------------
-    // Characters helpers
-    // -------------------------------------------------------------------------
+    /**
+     * Formats minutes since midnight on the configured 12h or 24h clock.
+     */
+    function formatClock(minutes) {
+        var hours = Math.floor(minutes / 60) % 24;
+        var mins  = pad2(minutes % 60);
+        if (getSettings().timeFormat === '24h') return pad2(hours) + ':' + mins;
+        return t('clock_12h', (hours % 12 || 12) + ':' + mins, t(hours < 12 ? 'clock_am' : 'clock_pm'));
+    }
 
     /**
-     * Converts a characters array to a semicolon-separated editable string.
-     * Format per entry: "Name | outfit: X | state: Y | position: Z"
+     * Rewrites the clock at the start of a time value on the configured
+     * 12h or 24h clock, e.g. "14:30; 05/21/2001" becomes "2:30 PM; 05/21/2001".
+     * Values where the clock is followed by anything but ";" or "," are kept.
      */
-    function charsToString(chars) {
-        if (!chars || chars.length === 0) return '';
-        return chars.map(function (c) {
-            var parts = [c.name];
-            if (c.outfit)   parts.push('outfit: '   + c.outfit);
-            if (c.state)    parts.push('state: '    + c.state);
-            if (c.position) parts.push('position: ' + c.position);
-            return parts.join(' | ');
-        }).join('; ');
+    function formatTimeValue(timeStr) {
+        if (!timeStr) return timeStr;
+        var match = timeStr.match(CLOCK_PREFIX);
+        if (!match) return timeStr;
+        var rest = timeStr.slice(match[0].length);
+        if (!/^\s*(?:[;,]|$)/.test(rest)) return timeStr;
+        var minutes = clockMinutes(match);
+        return minutes === null ? timeStr : formatClock(minutes) + rest;
+    }
+
+    function getDateOrder() {
+        var order = getSettings().dateOrder;
+        return DATE_ORDERS.indexOf(order) !== -1 ? order : 'MDY';
     }
 
     /**
-     * Parses a semicolon-separated characters string back to an array.
+     * Date separator: dashes for YMD (slashes in Japanese), dots for German
+     * day-first dates, slashes otherwise.
      */
-    function stringToChars(str) {
-        if (!str || !str.trim()) return [];
-        return str.split(';').map(function (entry) {
-            entry = entry.trim();
-            if (!entry) return null;
-            var parts   = entry.split('|').map(function (p) { return p.trim(); });
-            var charObj = { name: '', outfit: '', state: '', position: '' };
-            for (var i = 0; i < parts.length; i++) {
-                var part = parts[i];
-                var sep  = part.indexOf(':');
-                if (sep === -1) {
-                    if (i === 0) charObj.name = part;
-                } else {
-                    var k = part.slice(0, sep).trim().toLowerCase();
-                    var v = part.slice(sep + 1).trim();
-                    if      (k === 'name')     charObj.name     = v;
-                    else if (k === 'outfit')   charObj.outfit   = v;
-                    else if (k === 'state')    charObj.state    = v;
-                    else if (k === 'position') charObj.position = v;
-                    else if (i === 0 && !charObj.name) charObj.name = part;
-                }
-            }
-            return charObj.name ? charObj : null;
-        }).filter(Boolean);
+    function dateSeparator(order) {
+        var locale = getLocale();
+        if (order === 'YMD') return locale === 'ja' ? '/' : '-';
+        return order === 'DMY' && locale === 'de' ? '.' : '/';
     }
 
-    // -------------------------------------------------------------------------
-    // Header builders
-    // -------------------------------------------------------------------------
+    function orderDateParts(order, year, month, day) {
+        if (order === 'YMD') return [year, month, day];
+        if (order === 'DMY') return [day, month, year];
+        return [month, day, year];
+    }
+
+    function buildClockHint() {
+        return getSettings().timeFormat === '24h' ? 'HH:MM' : t('ph_clock_12h');
+    }
+
+    function buildDateHint() {
+        var order = getDateOrder();
+        return orderDateParts(order, 'YYYY', 'MM', 'DD').join(dateSeparator(order));
+    }
+
+    function formatDate(year, month, day) {
+        var order = getDateOrder();
+        return orderDateParts(order, String(year), pad2(month), pad2(day)).join(dateSeparator(order));
+    }
+
+    var WEEKDAYS = STRINGS.en.weekdays;
+
+    var WEEKDAY_PATTERN = /\b(?:sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|rsday|urday|sday)?\b/i;
+
+    // Form dates are stored in, whatever the date order: "2001-05-21".
+    var STORED_DATE_PATTERN = /\b(\d{4})-(\d{2})-(\d{2})\b/;
 
     /**
-     * Builds the always-visible part of the message header.
-     * Shows ⏰ Time, 🗺️ Location, 🌤️ Weather, 💘 Heart Meter.
+     * Finds the date in a time value. Slash dates with the day or month
+     * first follow settings.dateOrder; dotted dates are day-first and dates
+     * starting with the year are year-first.
      *
-     * @param {{ time, location, weather, heart, characters }} tags
-     * @param {object} settings
-     * @returns {string}
+     * @returns {{ text: string, year: number, month: number, day: number }|null}
      */
-    function buildMainText(tags, settings) {
-        var lines = [];
-
-        if (settings.showTime) {
-            var timeVal = convertTo12Hour(tags.time || settings.currentTime || 'Unknown');
-            lines.push('\u23F0 Time: ' + timeVal);
-        }
-        if (settings.showLocation) {
-            var locVal = tags.location || settings.currentLocation || 'Unknown';
-            lines.push('\uD83D\uDDFA\uFE0F Location: ' + locVal);
+    function findDate(timeStr) {
+        // "2001-05-21", "2001/05/21", "2001.05.21" or "2001年5月21日"
+        var ymdMatch = timeStr.match(/\b(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})\b/) ||
+                       timeStr.match(/(\d{4})年\s*(\d{1,2})月\s*(\d{1,2})日/);
+        var dotMatch = timeStr.match(/\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/);
+        var slashMatch = timeStr.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+        if (ymdMatch) {
+            return { text: ymdMatch[0], year: parseInt(ymdMatch[1], 10), month: parseInt(ymdMatch[2], 10), day: parseInt(ymdMatch[3], 10) };
         }
-        if (settings.showWeather) {
-            var weatherVal = tags.weather || settings.currentWeather || 'Unknown';
-            lines.push('\uD83C\uDF24\uFE0F Weather: ' + weatherVal);
+        if (dotMatch) {
+            return { text: dotMatch[0], year: parseInt(dotMatch[3], 10), month: parseInt(dotMatch[2], 10), day: parseInt(dotMatch[1], 10) };
         }
-        if (settings.showHeartMeter) {
-            var pts   = settings.heartPoints;
-            var emoji = getHeartEmoji(pts);
-            lines.push('\uD83D\uDC98 Heart Meter: ' + emoji + ' ' + pts.toLocaleString());
+        if (slashMatch) {
+            var dayFirst = getDateOrder() === 'DMY';
+            return { text: slashMatch[0], year: parseInt(slashMatch[3], 10),
+                     month: parseInt(slashMatch[dayFirst ? 2 : 1], 10), day: parseInt(slashMatch[dayFirst ? 1 : 2], 10) };
         }
+        return null;
+    }
 
-        return lines.join('\n');
+    /**
+     * UTC date of a findDate() result, or null for dates that rolled over,
+     * e.g. 02/31.
+     */
+    function toUtcDate(found) {
+        if (!found) return null;
+        var date = new Date(0);
+        date.setUTCFullYear(found.year, found.month - 1, found.day);
+        return date.getUTCMonth() === found.month - 1 && date.getUTCDate() === found.day ? date : null;
     }
 
     /**
-     * Builds the collapsible (tap-to-expand) section of the message header.
-     * Shows Characters Present with each character's Outfit, State, and Position
-     * on separate labeled lines.
-     *
-     * @param {{ time, location, weather, heart, characters }} tags
-     * @param {object} settings
-     * @returns {string}
+     * Rewrites the date of a time value in the stored YYYY-MM-DD form, so
+     * changing settings.dateOrder later does not change what it means.
      */
-    function buildCollapsibleText(tags, settings) {
-        if (!settings.showCharacters) return '';
+    function toStoredDate(timeStr) {
+        if (!timeStr) return timeStr;
+        var found = findDate(timeStr);
+        if (!toUtcDate(found)) return timeStr;
+        return timeStr.replace(found.text, found.year + '-' + pad2(found.month) + '-' + pad2(found.day));
+    }
 
-        var chars = (tags.characters && tags.characters.length > 0)
-            ? tags.characters
-            : (settings.currentCharacters || []);
+    /**
+     * Shows a stored YYYY-MM-DD date in the configured date order.
+     */
+    function toDisplayDate(timeStr) {
+        if (!timeStr) return timeStr;
+        var match = timeStr.match(STORED_DATE_PATTERN);
+        if (!match) return timeStr;
+        return timeStr.replace(match[0], formatDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)));
+    }
 
-        if (chars.length === 0) return '';
+    /**
+     * Parses a tracker time string such as "8:15 AM; 05/21/2001 (Monday)",
+     * "14:30; 21.05.2001 (Montag)" or "午後3:15; 2001/05/21 (月曜日)". Dates
+     * are read as described for findDate().
+     *
+     * @param {string} timeStr
+     * @returns {{ minutes: number, day: number|null, weekday: number|null }|null}
+     *          minutes since midnight, days since 1970-01-01, day of week (0 = Sunday)
+     */
+    function parseTrackerTime(timeStr) {
+        if (!timeStr) return null;
+        var timeMatch = timeStr.match(CLOCK_PATTERN);
+        if (!timeMatch) return null;
+        var clock = clockMinutes(timeMatch);
+        if (clock === null) return null;
 
-        var lines = ['Tracker', '', 'Characters Present:'];
-        for (var i = 0; i < chars.length; i++) {
-            var c = chars[i];
-            lines.push('');
-            lines.push(c.name);
-            if (c.outfit)   lines.push('  Outfit: '   + c.outfit);
-            if (c.state)    lines.push('  State: '    + c.state);
-            if (c.position) lines.push('  Position: ' + c.position);
+        var result = { minutes: clock, day: null, weekday: null };
+        var date   = toUtcDate(findDate(timeStr));
+        if (date) {
+            result.day     = Math.floor(date.getTime() / 86400000);
+            result.weekday = date.getUTCDay();
         }
-
-        return lines.join('\n');
+        return result;
     }
 
-    // -------------------------------------------------------------------------
-    // Settings helpers
-    // -------------------------------------------------------------------------
-
-    function getSettings() {
-        if (!PT.extension_settings[EXT_ID]) {
-            PT.extension_settings[EXT_ID] = {};
+    /**
+     * Finds the weekday name written in a time value, in any supported
+     * language, so chats keep working after the locale changes.
+     *
+     * @returns {{ text: string, weekday: number, names: Array<string> }|null}
+     */
+    function findWeekday(timeStr) {
+        var enMatch = timeStr.match(WEEKDAY_PATTERN);
+        if (enMatch) {
+            var prefix = enMatch[0].toLowerCase().slice(0, 3);
+            for (var i = 0; i < WEEKDAYS.length; i++) {
+                if (WEEKDAYS[i].toLowerCase().indexOf(prefix) === 0) return { text: enMatch[0], weekday: i, names: WEEKDAYS };
+            }
         }
-        var s    = PT.extension_settings[EXT_ID];
-        var keys = Object.keys(DEFAULT_SETTINGS);
-        for (var i = 0; i < keys.length; i++) {
-            var key = keys[i];
-            if (s[key] === undefined) s[key] = DEFAULT_SETTINGS[key];
+        for (var l = 0; l < LOCALES.length; l++) {
+            var names = STRINGS[LOCALES[l]].weekdays;
+            if (names === WEEKDAYS) continue;
+            for (var d = 0; d < names.length; d++) {
+                // Japanese weekdays are also written without the final 日, e.g. "月曜".
+                var forms = LOCALES[l] === 'ja' ? [names[d], names[d].slice(0, 2)] : [names[d]];
+                for (var f = 0; f < forms.length; f++) {
+                    if (timeStr.indexOf(forms[f]) !== -1) return { text: forms[f], weekday: d, names: names };
+                }
+            }
         }
-        return s;
+        return null;
     }
 
-    // -------------------------------------------------------------------------
-    // Prompt injection
-    // -------------------------------------------------------------------------
+    /**
+     * Replaces a weekday name that does not match the date in the string,
+     * e.g. "05/21/2001 (Tuesday)" becomes "05/21/2001 (Monday)". The name is
+     * corrected in the language it was written in.
+     */
+    function fixWeekday(timeStr) {
+        var parsed = parseTrackerTime(timeStr);
+        if (!parsed || parsed.weekday === null) return timeStr;
+        var found = findWeekday(timeStr);
+        if (!found || found.weekday === parsed.weekday) return timeStr;
+        var correct = found.names[parsed.weekday];
+        PT.log('[PTTracker] Corrected weekday "' + found.text + '" to "' + correct + '".');
+        return timeStr.replace(found.text, correct);
+    }
 
-    function buildPrompt(settings) {
-        var chars     = settings.currentCharacters || [];
-        var charLines = chars.map(function (c) {
-            var parts = [c.name];
-            if (c.outfit)   parts.push('outfit: '   + c.outfit);
-            if (c.state)    parts.push('state: '    + c.state);
-            if (c.position) parts.push('position: ' + c.position);
-            return '[char: ' + parts.join(' | ') + ']';
-        }).join('\n');
-
-        var currentState = [
-            '[time: '     + (settings.currentTime     || 'unknown') + ']',
-            '[location: ' + (settings.currentLocation || 'unknown') + ']',
-            '[weather: '  + (settings.currentWeather  || 'unknown') + ']',
-            '[heart: '    + settings.heartPoints + ']',
-        ].join('\n');
-        if (charLines) currentState += '\n' + charLines;
-
-        return (
-            '[PTTracker Instructions]\n' +
-            'At the end of EVERY response, after all narrative content, include the following tracker tags:\n' +
-            '\n' +
-            '[time: h:MM AM/PM; MM/DD/YYYY (DayOfWeek)]\n' +
-            '[location: Full Location Description]\n' +
-            '[weather: Weather Description, Temperature]\n' +
-            '[heart: points_value]\n' +
-            '[char: CharacterName | outfit: What they wear | state: Emotional/physical state | position: Where in the scene]\n' +
-            '\n' +
-            'Add one [char: ...] line for EVERY person present in the scene, INCLUDING {{user}}.\n' +
-            '\n' +
-            'Heart Meter Rules:\n' +
-            'Assess the relationship and assign heart points showing the romantic interest the character has for {{user}}. ' +
-            'The maximum change per message is \u00B110,000 points. Range: 0\u201369,999.\n' +
-            '\n' +
-            'Heart point ranges:\n' +
-            '  0\u20134,999     \u2192 \uD83D\uDDA4 Black Heart\n' +
-            '  5,000\u201319,999  \u2192 \uD83D\uDC9C Purple Heart\n' +
-            '  20,000\u201329,999 \u2192 \uD83D\uDC99 Blue Heart\n' +
-            '  30,000\u201339,999 \u2192 \uD83D\uDC9A Green Heart\n' +
-            '  40,000\u201349,999 \u2192 \uD83D\uDC9B Yellow Heart\n' +
-            '  50,000\u201359,999 \u2192 \uD83E\uDDE1 Orange Heart\n' +
-            '  60,000\u201369,999 \u2192 \u2764\uFE0F Red Heart\n' +
-            '\n' +
-            'Current tracker state (continue from here):\n' +
-            currentState + '\n' +
-            '\n' +
-            'Update ONLY values that have changed. Never omit any tag.\n' +
-            '\n' +
-            'Example:\n' +
-            '[time: 8:15 AM; 05/21/2001 (Monday)]\n' +
-            '[location: Mako Crystal Cave, Eastern Trail, Mount Nibel]\n' +
-            '[weather: Cool and damp, sunny outside, 57\u00B0F]\n' +
-            '[heart: 5000]\n' +
-            '[char: {{user}} | outfit: Casual hoodie | state: Relaxed | position: Standing by the fountain]\n' +
-            '[char: Alice | outfit: Blue dress | state: Happy | position: Near the fountain]\n' +
-            '[char: Bob | outfit: Casual jeans | state: Nervous | position: On the bench]'
-        );
+    /**
+     * Normalizes a time tag value for storing: configured clock format, a
+     * weekday matching the date and the date in the stored form.
+     */
+    function normalizeTime(timeStr) {
+        return toStoredDate(fixWeekday(formatTimeValue(timeStr)));
     }
 
-    function injectPrompt() {
-        var s = getSettings();
-        if (!s.enabled) {
-            PT.setExtensionPrompt(EXT_ID, '', PT.INJECTION_POSITION.AFTER_CHAR_DEFS, s.scanDepth);
-            return;
+    /**
+     * Minutes of in-world time between two parsed times, or null when they
+     * cannot be compared. Without dates on both sides, a clock that went
+     * back by more than half a day is assumed to have passed midnight
+     * (11 PM → 1 AM); a smaller step back is returned as negative.
+     */
+    function getElapsedMinutes(from, to) {
+        if (!from || !to) return null;
+        if (from.day !== null && to.day !== null) {
+            return (to.day - from.day) * 1440 + (to.minutes - from.minutes);
         }
-        PT.setExtensionPrompt(
-            EXT_ID,
-            buildPrompt(s),
-            PT.INJECTION_POSITION.AFTER_CHAR_DEFS,
-            s.scanDepth
-        );
-        PT.log('[PTTracker] Prompt injected (scanDepth=' + s.scanDepth + ').');
+        var diff = to.minutes - from.minutes;
+        return diff < -720 ? diff + 1440 : diff;
+    }
+
+    /**
+     * Formats elapsed minutes as "+2h 15m", "+1d 3h 5m" or "-45m".
+     */
+    function formatElapsed(minutes) {
+        var sign  = minutes < 0 ? '-' : '+';
+        var total = Math.abs(minutes);
+        var days  = Math.floor(total / 1440);
+        var hours = Math.floor((total % 1440) / 60);
+        var mins  = total % 60;
+        var parts = [];
+        if (days)  parts.push(days + 'd');
+        if (hours) parts.push(hours + 'h');
+        if (mins)  parts.push(mins + 'm');
+        return sign + (parts.join(' ') || '0m');
+    }
+
+    /**
+     * Icon for the part of the day: dawn, day, dusk or night.
+     */
+    function getDayPhaseIcon(minutes) {
+        var hour = Math.floor(minutes / 60);
+        if (hour >= 5  && hour < 7)  return '\uD83C\uDF05';  // 🌅 dawn
+        if (hour >= 7  && hour < 17) return '\u2600\uFE0F';   // ☀️ day
+        if (hour >= 17 && hour < 20) return '\uD83C\uDF07';  // 🌇 dusk
+        return '\uD83C\uDF19';                               // 🌙 night
+    }
+
+    /**
+     * Formats the ⏰ line value: the time string followed by a day-phase icon
+     * and the in-world time elapsed since the previous message. Values that
+     * cannot be parsed are returned as-is.
+     */
+    function formatTimeLine(timeStr, previousTimeStr) {
+        var parsed = parseTrackerTime(timeStr);
+        if (!parsed) return timeStr;
+        var line    = timeStr + ' ' + getDayPhaseIcon(parsed.minutes);
+        var elapsed = getElapsedMinutes(parseTrackerTime(previousTimeStr), parsed);
+        if (elapsed) line += ' (' + formatElapsed(elapsed) + ')';
+        return line;
+    }
+
+    /**
+     * Moves a time value forward or back by a number of minutes. Only the
+     * clock, the date (in the stored form) and a written weekday change;
+     * the rest of the value, e.g. "— dawn", is kept. Returns null when the
+     * value has no clock.
+     */
+    function advanceTime(timeStr, minutes) {
+        var parsed = parseTrackerTime(timeStr);
+        if (!parsed) return null;
+        var total = parsed.minutes + minutes;
+        var days  = Math.floor(total / 1440);
+        var moved = timeStr.replace(CLOCK_PATTERN, formatClock(total - days * 1440));
+        if (parsed.day === null || days === 0) return moved;
+        var date    = new Date((parsed.day + days) * 86400000);
+        var weekday = findWeekday(moved);
+        moved = moved.replace(findDate(moved).text,
+                              date.getUTCFullYear() + '-' + pad2(date.getUTCMonth() + 1) + '-' + pad2(date.getUTCDate()));
+        return weekday ? moved.replace(weekday.text, weekday.names[date.getUTCDay()]) : moved;
+    }
+
+    // -------------------------------------------------------------------------
+    // Weather helpers
+    // -------------------------------------------------------------------------
+
+    // Weather conditions in order of precedence ("snowstorm" is snow,
+    // "thunderstorm and rain" is a storm) with their keywords and icon.
+    var WEATHER_CONDITIONS = [
+        { key: 'snow',   icon: '\uD83C\uDF28\uFE0F',  // 🌨️
+          pattern: /snow|blizzard|sleet|flurr|schnee|graupel|雪/i },
+        { key: 'storm',  icon: '\u26C8\uFE0F',        // ⛈️
+          pattern: /storm|thunder|lightning|hurricane|typhoon|gewitter|sturm|orkan|嵐|雷|台風/i },
+        { key: 'rain',   icon: '\uD83C\uDF27\uFE0F',  // 🌧️
+          pattern: /\brain|drizzl|shower|downpour|regen|niesel|schauer|雨/i },
+        { key: 'fog',    icon: '\uD83C\uDF2B\uFE0F',  // 🌫️
+          pattern: /fog|mist|haz[ey]|smog|nebel|dunst|霧|靄|もや/i },
+        { key: 'cloudy', icon: '\u2601\uFE0F',        // ☁️
+          pattern: /cloud(?!less)|overcast|gr[ae]y sk|bewölkt|wolkig|bedeckt|曇|くもり/i },
+        { key: 'clear',  icon: '\u2600\uFE0F',        // ☀️
+          pattern: /clear|cloudless|sun|bright|heat|sonn|klar|heiter|wolkenlos|晴/i },
+    ];
+
+    // Words that mark extreme cold or heat regardless of the temperature.
+    var WEATHER_COLD_PATTERN = /blizzard|freezing|frost|icy|arctic|schneesturm|eisig|吹雪|極寒/i;
+    var WEATHER_HOT_PATTERN  = /heat ?wave|scorching|sweltering|blistering|hitzewelle|glühend|猛暑|酷暑|灼熱/i;
+
+    // Temperatures at or beyond which the weather counts as cold or hot (°C).
+    var WEATHER_COLD_MAX = 0;
+    var WEATHER_HOT_MIN  = 30;
+
+    // weatherConsistency: the largest believable change within WEATHER_WINDOW_MINUTES.
+    var WEATHER_WINDOW_MINUTES = 60;
+    var WEATHER_MAX_TEMP_DELTA = 10;  // °C
+
+    var TEMPERATURE_UNITS = ['auto', 'C', 'F', 'both'];
+
+    // "57°F", "14 °C", "14℃", "57 degrees Fahrenheit", "14 Grad Celsius".
+    var TEMPERATURE_PATTERN = /(-?\d+(?:[.,]\d+)?)\s*(?:\u00B0\s*([CF])\b|(\u2103)|(\u2109)|(?:degrees?|Grad)\s+(Celsius|Fahrenheit|C\b|F\b))/i;
+
+    /**
+     * Parses a weather value into its condition and temperature.
+     *
+     * @param {string} value  e.g. "Cool and damp, sunny outside, 57°F"
+     * @returns {{ condition: string|null, temperature: { value: number, unit: string }|null }}
+     */
+    function parseWeather(value) {
+        var text      = String(value || '');
+        var condition = null;
+        for (var i = 0; i < WEATHER_CONDITIONS.length; i++) {
+            if (WEATHER_CONDITIONS[i].pattern.test(text)) {
+                condition = WEATHER_CONDITIONS[i].key;
+                break;
+            }
+        }
+
+        var temperature = null;
+        var m = TEMPERATURE_PATTERN.exec(text);
+        if (m) {
+            var unit = m[2] || (m[3] ? 'C' : m[4] ? 'F' : m[5]);
+            temperature = {
+                value: parseFloat(m[1].replace(',', '.')),
+                unit:  unit.charAt(0).toUpperCase(),
+            };
+        }
+        return { condition: condition, temperature: temperature };
+    }
+
+    function getWeatherIcon(condition) {
+        for (var i = 0; i < WEATHER_CONDITIONS.length; i++) {
+            if (WEATHER_CONDITIONS[i].key === condition) return WEATHER_CONDITIONS[i].icon;
+        }
+        return null;
+    }
+
+    function toCelsius(temperature) {
+        return temperature.unit === 'F' ? (temperature.value - 32) * 5 / 9 : temperature.value;
+    }
+
+    function formatTemperature(value, unit) {
+        return formatNumber(Math.round(value)) + '\u00B0' + unit;
+    }
+
+    function getTemperatureUnit() {
+        var unit = getSettings().temperatureUnit;
+        return TEMPERATURE_UNITS.indexOf(unit) !== -1 ? unit : 'auto';
+    }
+
+    /**
+     * Rewrites the temperature in a weather value in the configured unit:
+     * 'C' or 'F' converts it, 'both' adds the other unit after it and
+     * 'auto' leaves it as written.
+     */
+    function formatWeatherValue(value) {
+        var unit = getTemperatureUnit();
+        if (unit === 'auto') return value;
+        return String(value).replace(TEMPERATURE_PATTERN, function (match) {
+            var temperature = parseWeather(match).temperature;
+            var celsius     = toCelsius(temperature);
+            var fahrenheit  = celsius * 9 / 5 + 32;
+            if (unit === 'C') return formatTemperature(celsius, 'C');
+            if (unit === 'F') return formatTemperature(fahrenheit, 'F');
+            return temperature.unit === 'F'
+                ? formatTemperature(fahrenheit, 'F') + ' (' + formatTemperature(celsius, 'C') + ')'
+                : formatTemperature(celsius, 'C') + ' (' + formatTemperature(fahrenheit, 'F') + ')';
+        });
+    }
+
+    /**
+     * 'cold', 'hot' or null for a weather value, from its wording and
+     * temperature.
+     */
+    function getWeatherClimate(value) {
+        var text        = String(value || '');
+        var temperature = parseWeather(text).temperature;
+        var celsius     = temperature ? toCelsius(temperature) : null;
+        if (WEATHER_COLD_PATTERN.test(text) || (celsius !== null && celsius <= WEATHER_COLD_MAX)) return 'cold';
+        if (WEATHER_HOT_PATTERN.test(text)  || (celsius !== null && celsius >= WEATHER_HOT_MIN))  return 'hot';
+        return null;
+    }
+
+    // -------------------------------------------------------------------------
+    // Heart Meter helpers
+    // -------------------------------------------------------------------------
+
+    function getCharacterHeartDefault(character) {
+        if (!character) return 0;
+        var preset = getCharacterPreset(character);
+        if (preset.heartDefault !== undefined) return preset.heartDefault;
+        var desc = (character.description || '') + ' ' +
+                   (character.personality || '') + ' ' +
+                   (character.scenario    || '');
+        var heartMatch = desc.match(/\[heart_default:\s*(\d+)\]/i);
+        return heartMatch ? Math.max(0, parseInt(heartMatch[1], 10)) : 0;
+    }
+
+    /**
+     * Reads every [heart_milestone: N | text] from a character card. An
+     * optional middle part of 'up', 'down' or 'both' sets which direction
+     * of entering N's tier fires it; the default is 'up'.
+     *
+     * @returns {Array<{ points, direction, text }>}
+     */
+    function getCharacterMilestones(character) {
+        if (!character) return [];
+        var desc = (character.description || '') + ' ' +
+                   (character.personality || '') + ' ' +
+                   (character.scenario    || '');
+        return findTagBodies(desc, 'heart_milestone').map(function (body) {
+            var parts = splitTagParts(body, '|');
+            return normalizeMilestone({
+                points:    parts[0],
+                direction: parts.length > 2 ? parts[1] : 'up',
+                text:      parts.slice(parts.length > 2 ? 2 : 1).join(' | '),
+            });
+        }).filter(Boolean);
+    }
+
+    /**
+     * Parses a heart value such as "32000", "32,000", "32.000" or "+2,000".
+     * Thousands separators of every locale are dropped; a decimal part is
+     * ignored. Returns NaN if the value is not a number.
+     */
+    function parseHeartValue(value) {
+        return parseInt(String(value).replace(/\s+/g, '').replace(/[,.'\u2019](?=\d{3}(?!\d))/g, ''), 10);
+    }
+
+    /**
+     * Parses a per-character heart list such as "Alice=32000; Bob=4000".
+     * Returns null when the value is not in that form.
+     *
+     * @param {string} value
+     * @returns {object|null} map of character name to heart points
+     */
+    function parseHeartList(value) {
+        if (!value || value.indexOf('=') === -1) return null;
+        var hearts  = {};
+        var entries = value.split(';');
+        for (var i = 0; i < entries.length; i++) {
+            var eq = entries[i].indexOf('=');
+            if (eq === -1) continue;
+            var name = entries[i].slice(0, eq).trim();
+            var pts  = parseHeartValue(entries[i].slice(eq + 1));
+            if (name && !isNaN(pts)) hearts[name] = Math.max(0, pts);
+        }
+        return hearts;
+    }
+
+    function heartsToString(hearts) {
+        return Object.keys(hearts || {}).map(function (name) {
+            return name + '=' + hearts[name];
+        }).join('; ');
+    }
+
+    function isGroupChat() {
+        var ctx = PT.getContext();
+        if (!ctx) return false;
+        return !!(ctx.groupId || (ctx.groupMembers && ctx.groupMembers.length > 1));
+    }
+
+    /**
+     * Whether the heart meter is tracked per character. In 'auto' mode this
+     * is the case for group chats only; one-on-one chats keep a single
+     * meter even when the model reports a per-character value.
+     */
+    function usePerCharacterHearts(settings) {
+        if (settings.heartMode === 'single')       return false;
+        if (settings.heartMode === 'perCharacter') return true;
+        return isGroupChat();
+    }
+
+    /**
+     * Finds the card of a character by name among the active character and,
+     * for group chats, the group members. Other cards of the character
+     * library are never used, even when their name matches.
+     */
+    function findCharacterCard(name) {
+        var ctx = PT.getContext();
+        if (!ctx || !name) return null;
+        var cards = [];
+        if (ctx.character)    cards.push(ctx.character);
+        if (ctx.groupMembers) cards = cards.concat(ctx.groupMembers);
+        var lower = name.toLowerCase();
+        for (var i = 0; i < cards.length; i++) {
+            if (cards[i] && cards[i].name && cards[i].name.toLowerCase() === lower) return cards[i];
+        }
+        return null;
+    }
+
+    function getHeartEmoji(points) {
+        if (points < 5000)  return '\uD83D\uDDA4';  // 🖤
+        if (points < 20000) return '\uD83D\uDC9C';  // 💜
+        if (points < 30000) return '\uD83D\uDC99';  // 💙
+        if (points < 40000) return '\uD83D\uDC9A';  // 💚
+        if (points < 50000) return '\uD83D\uDC9B';  // 💛
+        if (points < 60000) return '\uD83E\uDDE1';  // 🧡
+        return '\u2764\uFE0F';                       // ❤️
+    }
+
+    // -------------------------------------------------------------------------
+    // Tag parsing
+    // -------------------------------------------------------------------------
+
+    /**
+     * Extracts all tracker tags described by the field schema from an AI
+     * message string. Returns time/location/weather/heart as strings (or
+     * null if absent), heartReason as the reason given in the heart tag (or
+     * null), hearts as a map of per-character heart points,
+     * characters as an array of { name, outfit, state, position } objects,
+     * inventory as an array of { name, items, add, remove } changes, quests
+     * as an array of { title, status, note } updates, and fields as a map
+     * of custom field values keyed by field key.
+     *
+     * Both bracket tags and a JSON tracker block are read, so chats that mix
+     * the two formats keep working; values from the JSON block win.
+     *
+     * @param {string} text
+     * @param {object} [settings]
+     * @returns {{ time, location, weather, heart, heartReason, hearts, characters, inventory, quests, fields }}
+     */
+    function parseTags(text, settings) {
+        var fields = getFields(settings || getSettings());
+
+        function extract(tag) {
+            var bodies = findTagBodies(text, tag);
+            return bodies.length > 0 ? unescapeTagText(bodies[0]).trim() : null;
+        }
+
+        var tags = emptyTags();
+
+        // Extract all [char: ...] tags — one per character in the scene.
+        var charField = findField(fields, 'characters');
+        if (charField) tags.characters = parseCharacterTags(text, charField.tag, tags.hearts);
+
+        // [heart: Alice=32000; Bob=4000] carries per-character values instead of a single meter,
+        // and [heart: 12000 | reason: ...] says why the points changed.
+        var heartField = findField(fields, 'heart');
+        if (heartField) {
+            var heartBodies = findTagBodies(text, heartField.tag);
+            var heartParts  = heartBodies.length > 0 ? splitTagParts(heartBodies[0], '|') : [null];
+            var heart       = heartParts[0];
+            for (var h = 1; h < heartParts.length; h++) {
+                var reason = heartParts[h].match(/^reason\s*:\s*([\s\S]*)$/i);
+                if (reason && reason[1]) tags.heartReason = reason[1];
+            }
+            var heartList = parseHeartList(heart);
+            if (heartList) {
+                var listNames = Object.keys(heartList);
+                for (var n = 0; n < listNames.length; n++) tags.hearts[listNames[n]] = heartList[listNames[n]];
+                heart = null;
+            }
+            tags.heart = heart;
+        }
+
+        var invField = findField(fields, 'inventory');
+        if (invField) tags.inventory = parseInventoryTags(text, invField.tag);
+
+        var questField = findField(fields, 'quests');
+        if (questField) tags.quests = parseQuestTags(text, questField.tag);
+
+        for (var i = 0; i < fields.length; i++) {
+            var field = fields[i];
+            if (field.key === 'heart' || SECTION_FIELDS.indexOf(field.key) !== -1) continue;
+            var raw = extract(field.tag);
+            if (!isCustomField(field)) {
+                tags[field.key] = raw;
+                continue;
+            }
+            var value = parseFieldValue(field, raw);
+            if (value !== null) tags.fields[field.key] = value;
+        }
+
+        var block = parseTrackerBlock(text);
+        if (block) mergeTrackerBlock(tags, block, fields);
+
+        return tags;
+    }
+
+    /**
+     * Returns the raw body of every [tag: ...] in the text. A backslash
+     * escapes the next character, so "\\]" does not close the tag. Escapes are
+     * left in place for splitTagParts() and unescapeTagText().
+     */
+    function findTagBodies(text, tag) {
+        var bodies = [];
+        var open   = new RegExp('\\[' + escapeRegExp(tag) + ':\\s*', 'gi');
+        var match;
+        while ((match = open.exec(text)) !== null) {
+            var start = open.lastIndex;
+            var i     = start;
+            while (i < text.length && text.charAt(i) !== ']') i += text.charAt(i) === '\\' ? 2 : 1;
+            if (i >= text.length) break;
+            if (text.slice(start, i).trim()) bodies.push(text.slice(start, i));
+            open.lastIndex = i + 1;
+        }
+        return bodies;
+    }
+
+    /**
+     * Splits a tag body on every unescaped separator and unescapes the
+     * trimmed parts.
+     */
+    function splitTagParts(body, separator) {
+        var parts   = [];
+        var current = '';
+        for (var i = 0; i < body.length; i++) {
+            var ch = body.charAt(i);
+            if (ch === '\\' && i + 1 < body.length) {
+                current += ch + body.charAt(++i);
+            } else if (ch === separator) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        parts.push(current);
+        return parts.map(function (p) { return unescapeTagText(p).trim(); });
+    }
+
+    function unescapeTagText(str) {
+        return str.replace(/\\([\\\[\]|])/g, '$1');
+    }
+
+    /**
+     * Escapes the characters that would end or split a bracket tag value.
+     */
+    function escapeTagText(str) {
+        return String(str).replace(/([\\\[\]|])/g, '\\$1');
+    }
+
+    // -------------------------------------------------------------------------
+    // JSON tracker block
+    // -------------------------------------------------------------------------
+    //
+    // Alternative to bracket tags, keyed by field tag (or field key):
+    //
+    //     <tracker>
+    //     { "time": "...", "location": "...", "weather": "...", "heart": 5000, "heart_reason": "...",
+    //       "char":  [{ "name": "Alice", "outfit": "...", "state": "...", "position": "..." }],
+    //       "inv":   { "{{user}}": { "add": ["Rusty key"], "remove": ["Potion"] } },
+    //       "quest": [{ "title": "...", "status": "active", "note": "..." }] }
+    //     </tracker>
+    //
+    // A ```tracker fenced block is accepted as well.
+
+    var TRACKER_BLOCK_PATTERN = '<tracker>[\\s\\S]*?<\\/tracker>|```tracker[\\s\\S]*?```';
+
+    /**
+     * Finds and parses the JSON tracker block of a message.
+     *
+     * @returns {object|null} the parsed object, or null when there is no valid block
+     */
+    function parseTrackerBlock(text) {
+        var match = text.match(/<tracker>([\s\S]*?)<\/tracker>/i) || text.match(/```tracker[^\S\n]*\n?([\s\S]*?)```/i);
+        if (!match) return null;
+        // Some models wrap the JSON in a ```json fence inside <tracker>.
+        var json = match[1].replace(/^\s*```(?:json)?/i, '').replace(/```\s*$/, '').trim();
+        try {
+            var data = JSON.parse(json);
+            return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+        } catch (e) {
+            PT.log('[PTTracker] Ignoring invalid tracker block: ' + e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Reads a tracker block value by field tag or field key, ignoring case.
+     */
+    function blockValue(block, field) {
+        var keys = Object.keys(block);
+        for (var i = 0; i < keys.length; i++) {
+            var k = keys[i].toLowerCase();
+            if (k === field.tag.toLowerCase() || k === field.key.toLowerCase()) return block[keys[i]];
+        }
+        return undefined;
+    }
+
+    function blockText(value) {
+        if (value === undefined || value === null) return null;
+        if (Array.isArray(value)) return value.join(', ');
+        return String(value).trim();
+    }
+
+    /**
+     * Merges a parsed tracker block into tags in the parseTags() shape.
+     */
+    function mergeTrackerBlock(tags, block, fields) {
+        fields.forEach(function (field) {
+            var value = blockValue(block, field);
+            if (value === undefined || value === null) return;
+
+            if (field.key === 'heart') {
+                if (typeof value === 'object') {
+                    Object.keys(value).forEach(function (name) {
+                        var pts = parseHeartValue(value[name]);
+                        if (!isNaN(pts)) tags.hearts[name] = Math.max(0, pts);
+                    });
+                } else {
+                    var heartList = parseHeartList(String(value));
+                    if (heartList) Object.keys(heartList).forEach(function (name) { tags.hearts[name] = heartList[name]; });
+                    else tags.heart = String(value);
+                }
+                var reason = blockText(blockValue(block, { tag: field.tag + '_reason', key: field.key + 'Reason' }));
+                if (reason) tags.heartReason = reason;
+            } else if (field.key === 'characters') {
+                tags.characters = blockCharacters(value, tags.hearts);
+            } else if (field.key === 'inventory') {
+                tags.inventory = blockInventory(value);
+            } else if (field.key === 'quests') {
+                tags.quests = blockQuests(value);
+            } else if (isCustomField(field)) {
+                var parsed = parseFieldValue(field, blockText(value));
+                if (parsed !== null) tags.fields[field.key] = parsed;
+            } else {
+                tags[field.key] = blockText(value);
+            }
+        });
+    }
+
+    function blockCharacters(value, hearts) {
+        return (Array.isArray(value) ? value : [value]).map(function (entry) {
+            if (typeof entry === 'string') return parseCharacterEntry(splitTagParts(entry, '|'), hearts);
+            if (!entry || typeof entry !== 'object' || !entry.name) return null;
+            var charObj = {
+                name:     String(entry.name).trim(),
+                outfit:   blockText(entry.outfit)   || '',
+                state:    blockText(entry.state)    || '',
+                position: blockText(entry.position) || '',
+            };
+            var pts = entry.heart !== undefined && entry.heart !== null ? parseHeartValue(entry.heart) : NaN;
+            if (!isNaN(pts)) hearts[charObj.name] = Math.max(0, pts);
+            return charObj;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Accepts { Name: [items] } full listings, { Name: { add, remove, items } }
+     * changes, or an array of { name, add, remove, items } objects.
+     */
+    function blockInventory(value) {
+        var entries = Array.isArray(value)
+            ? value
+            : Object.keys(value || {}).map(function (name) {
+                var v = value[name];
+                if (Array.isArray(v) || !v || typeof v !== 'object') return { name: name, items: v };
+                return { name: name, items: v.items, add: v.add, remove: v.remove };
+            });
+
+        function list(v) {
+            if (v === undefined || v === null) return null;
+            return (Array.isArray(v) ? v : String(v).split(','))
+                .map(function (item) { return String(item).trim(); }).filter(Boolean);
+        }
+
+        return entries.map(function (entry) {
+            if (!entry || !entry.name) return null;
+            return {
+                name:   String(entry.name).trim(),
+                items:  list(entry.items),
+                add:    list(entry.add)    || [],
+                remove: list(entry.remove) || [],
+            };
+        }).filter(Boolean);
+    }
+
+    function blockQuests(value) {
+        return (Array.isArray(value) ? value : [value]).map(function (entry) {
+            if (typeof entry === 'string') return parseQuestEntry(entry);
+            if (!entry || typeof entry !== 'object' || !entry.title) return null;
+            return {
+                title:  String(entry.title).trim(),
+                status: entry.status ? normalizeQuestStatus(entry.status) : null,
+                note:   entry.note !== undefined && entry.note !== null ? String(entry.note).trim() : null,
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Parses every [char: ...] tag in the text. Per-character heart values
+     * written as "| heart: N" are collected into the hearts map.
+     */
+    function parseCharacterTags(text, tag, hearts) {
+        return findTagBodies(text, tag).map(function (body) {
+            return parseCharacterEntry(splitTagParts(body, '|'), hearts);
+        }).filter(Boolean);
+    }
+
+    /**
+     * Builds a { name, outfit, state, position } entry from the parts of a
+     * [char: ...] tag. Returns null when the entry has no name.
+     */
+    function parseCharacterEntry(parts, hearts) {
+        var charObj   = { name: '', outfit: '', state: '', position: '' };
+        var charHeart = null;
+        for (var i = 0; i < parts.length; i++) {
+            var part = parts[i];
+            var sep  = part.indexOf(':');
+            if (sep === -1) {
+                // No colon — treat the first bare token as the character name.
+                if (i === 0 && !charObj.name) charObj.name = part;
+            } else {
+                var k = part.slice(0, sep).trim().toLowerCase();
+                var v = part.slice(sep + 1).trim();
+                if      (k === 'name')     charObj.name     = v;
+                else if (k === 'outfit')   charObj.outfit   = v;
+                else if (k === 'state')    charObj.state    = v;
+                else if (k === 'position') charObj.position = v;
+                else if (k === 'heart')    charHeart        = v;
+                else if (i === 0 && !charObj.name) charObj.name = part;
+            }
+        }
+        if (!charObj.name) return null;
+        var charPts = charHeart !== null ? parseHeartValue(charHeart) : NaN;
+        if (!isNaN(charPts)) hearts[charObj.name] = Math.max(0, charPts);
+        return charObj;
+    }
+
+    /**
+     * Parses every [inv: ...] tag in the text. "+Item" and "-Item" entries
+     * are deltas; plain entries form a full listing that replaces the
+     * character's inventory (deltas in the same tag are applied on top).
+     *
+     * @returns {Array<{ name, items, add, remove }>} items is null for delta-only tags
+     */
+    function parseInventoryTags(text, tag) {
+        var changes = [];
+        var bodies  = findTagBodies(text, tag);
+        for (var b = 0; b < bodies.length; b++) {
+            var parts  = splitTagParts(bodies[b], '|');
+            var change = { name: parts[0], items: null, add: [], remove: [] };
+            if (!change.name) continue;
+            for (var i = 1; i < parts.length; i++) {
+                var entries = parts[i].split(',');
+                for (var e = 0; e < entries.length; e++) {
+                    var item = entries[e].trim();
+                    if (!item) continue;
+                    if (item.charAt(0) === '+') {
+                        if (item.slice(1).trim()) change.add.push(item.slice(1).trim());
+                    } else if (item.charAt(0) === '-') {
+                        if (item.slice(1).trim()) change.remove.push(item.slice(1).trim());
+                    } else {
+                        change.items = change.items || [];
+                        change.items.push(item);
+                    }
+                }
+            }
+            changes.push(change);
+        }
+        return changes;
+    }
+
+    /**
+     * Parses every [quest: ...] tag in the text into { title, status, note }
+     * updates. status and note are null when the tag does not set them.
+     */
+    function parseQuestTags(text, tag) {
+        return findTagBodies(text, tag).map(parseQuestEntry).filter(Boolean);
+    }
+
+    /**
+     * Parses "Title | status: done | note: ..." into a quest update.
+     */
+    function parseQuestEntry(entry) {
+        var parts = splitTagParts(entry, '|');
+        var quest = { title: '', status: null, note: null };
+        for (var i = 0; i < parts.length; i++) {
+            var part = parts[i];
+            var sep  = part.indexOf(':');
+            var k    = sep === -1 ? '' : part.slice(0, sep).trim().toLowerCase();
+            var v    = sep === -1 ? '' : part.slice(sep + 1).trim();
+            if      (k === 'title')  quest.title  = v;
+            else if (k === 'status') quest.status = normalizeQuestStatus(v);
+            else if (k === 'note')   quest.note   = v;
+            else if (i === 0 && !quest.title) quest.title = part;
+        }
+        return quest.title ? quest : null;
+    }
+
+    function normalizeQuestStatus(status) {
+        var lower = String(status || '').trim().toLowerCase();
+        if (/^(done|complete|completed|finished|success|succeeded)$/.test(lower)) return 'done';
+        if (/^(failed|fail|abandoned|lost)$/.test(lower))                      return 'failed';
+        if (/^(active|open|ongoing|in progress|started|new)$/.test(lower))     return 'active';
+        return null;
+    }
+
+    function emptyTags() {
+        return {
+            time: null, location: null, weather: null, heart: null, heartReason: null,
+            hearts: {}, characters: [], inventory: [], quests: [], fields: {},
+        };
+    }
+
+    function hasTags(tags) {
+        return tags.time !== null || tags.location !== null ||
+               tags.weather !== null || tags.heart !== null ||
+               (tags.hearts && Object.keys(tags.hearts).length > 0) ||
+               (tags.characters && tags.characters.length > 0) ||
+               (tags.inventory && tags.inventory.length > 0) ||
+               (tags.quests && tags.quests.length > 0) ||
+               (tags.fields && Object.keys(tags.fields).length > 0);
+    }
+
+    // -------------------------------------------------------------------------
+    // Characters helpers
+    // -------------------------------------------------------------------------
+
+    /**
+     * Converts a characters array to a semicolon-separated editable string.
+     * Format per entry: "Name | outfit: X | state: Y | position: Z"
+     */
+    function charsToString(chars) {
+        if (!chars || chars.length === 0) return '';
+        return chars.map(function (c) {
+            var parts = [c.name];
+            if (c.outfit)   parts.push('outfit: '   + c.outfit);
+            if (c.state)    parts.push('state: '    + c.state);
+            if (c.position) parts.push('position: ' + c.position);
+            return parts.join(' | ');
+        }).join('; ');
+    }
+
+    /**
+     * Parses a semicolon-separated characters string back to an array.
+     */
+    function stringToChars(str) {
+        if (!str || !str.trim()) return [];
+        return str.split(';').map(function (entry) {
+            entry = entry.trim();
+            if (!entry) return null;
+            var parts   = entry.split('|').map(function (p) { return p.trim(); });
+            var charObj = { name: '', outfit: '', state: '', position: '' };
+            for (var i = 0; i < parts.length; i++) {
+                var part = parts[i];
+                var sep  = part.indexOf(':');
+                if (sep === -1) {
+                    if (i === 0) charObj.name = part;
+                } else {
+                    var k = part.slice(0, sep).trim().toLowerCase();
+                    var v = part.slice(sep + 1).trim();
+                    if      (k === 'name')     charObj.name     = v;
+                    else if (k === 'outfit')   charObj.outfit   = v;
+                    else if (k === 'state')    charObj.state    = v;
+                    else if (k === 'position') charObj.position = v;
+                    else if (i === 0 && !charObj.name) charObj.name = part;
+                }
+            }
+            return charObj.name ? charObj : null;
+        }).filter(Boolean);
+    }
+
+    // -------------------------------------------------------------------------
+    // Character roster
+    // -------------------------------------------------------------------------
+    //
+    // snapshot.characterRoster = {
+    //     [lowercase name]: { name, outfit, state, position, lastSeen: message index or null },
+    // }
+    //
+    // Every character ever seen in the chat, with their last known details.
+
+    // Off-scene characters listed in the injected prompt, most recently seen first.
+    var ROSTER_PROMPT_LIMIT = 8;
+
+    /**
+     * Records the snapshot's present characters in its roster. Details a
+     * tag leaves out keep their last known value, and a character keeps the
+     * spelling of the name they were first seen under. Characters of the base
+     * snapshot missing from the roster (state saved before the roster
+     * existed) are added without a message index.
+     *
+     * @param {object} snap          snapshot to update in place
+     * @param {number} messageIndex  message the snapshot belongs to
+     * @param {object} [base]        snapshot the message was built on
+     */
+    function updateRoster(snap, messageIndex, base) {
+        var roster = snap.characterRoster = snap.characterRoster || {};
+
+        ((base && base.currentCharacters) || []).forEach(function (c) {
+            var key = c.name.toLowerCase();
+            if (!roster[key]) {
+                roster[key] = { name: c.name, outfit: c.outfit || '', state: c.state || '',
+                                position: c.position || '', lastSeen: null };
+            }
+        });
+
+        (snap.currentCharacters || []).forEach(function (c) {
+            var key   = c.name.toLowerCase();
+            var entry = roster[key] || { name: c.name, outfit: '', state: '', position: '' };
+            entry.outfit   = c.outfit   || entry.outfit;
+            entry.state    = c.state    || entry.state;
+            entry.position = c.position || entry.position;
+            entry.lastSeen = messageIndex;
+            roster[key] = entry;
+        });
+        return snap;
+    }
+
+    /**
+     * Roster entries of characters not in the scene, most recently seen first.
+     *
+     * @param {object} state  snapshot or settings view
+     * @returns {Array<object>}
+     */
+    function getOffSceneCharacters(state) {
+        var present = (state.currentCharacters || []).map(function (c) { return c.name.toLowerCase(); });
+        var roster  = state.characterRoster || {};
+        return Object.keys(roster).filter(function (key) {
+            return present.indexOf(key) === -1;
+        }).map(function (key) {
+            return roster[key];
+        }).sort(function (a, b) {
+            var aSeen = a.lastSeen === null || a.lastSeen === undefined ? -1 : a.lastSeen;
+            var bSeen = b.lastSeen === null || b.lastSeen === undefined ? -1 : b.lastSeen;
+            return bSeen - aSeen;
+        });
+    }
+
+    /**
+     * One "- Name — Outfit: X; State: Y; Position: Z" line for the prompt.
+     */
+    function describeRosterEntry(entry) {
+        var details = [];
+        if (entry.outfit)   details.push(t('outfit')   + ': ' + entry.outfit);
+        if (entry.state)    details.push(t('state')    + ': ' + entry.state);
+        if (entry.position) details.push(t('position') + ': ' + entry.position);
+        return '- ' + entry.name + (details.length > 0 ? ' \u2014 ' + details.join('; ') : '');
+    }
+
+    // -------------------------------------------------------------------------
+    // Inventory helpers
+    // -------------------------------------------------------------------------
+
+    function findNameKey(map, name) {
+        var lower = name.toLowerCase();
+        var keys  = Object.keys(map);
+        for (var i = 0; i < keys.length; i++) {
+            if (keys[i].toLowerCase() === lower) return keys[i];
+        }
+        return null;
+    }
+
+    function indexOfItem(items, item) {
+        var lower = item.toLowerCase();
+        for (var i = 0; i < items.length; i++) {
+            if (items[i].toLowerCase() === lower) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Applies parsed [inv:] changes to a copy of an inventory map
+     * ({ characterName: [items] }).
+     *
+     * @param {object} inventory
+     * @param {Array<{ name, items, add, remove }>} changes
+     * @returns {object}
+     */
+    function applyInventoryChanges(inventory, changes) {
+        var next = cloneValue(inventory || {});
+        for (var i = 0; i < changes.length; i++) {
+            var change = changes[i];
+            var key    = findNameKey(next, change.name) || change.name;
+            var items  = change.items ? change.items.slice() : (next[key] || []);
+            for (var a = 0; a < change.add.length; a++) {
+                if (indexOfItem(items, change.add[a]) === -1) items.push(change.add[a]);
+            }
+            for (var r = 0; r < change.remove.length; r++) {
+                var idx = indexOfItem(items, change.remove[r]);
+                if (idx !== -1) items.splice(idx, 1);
+            }
+            next[key] = items;
+        }
+        return next;
+    }
+
+    /**
+     * Converts an inventory map to a semicolon-separated editable string.
+     * Format per entry: "Name | Item, Item"
+     */
+    function inventoryToString(inventory) {
+        return Object.keys(inventory || {}).map(function (name) {
+            return name + ' | ' + inventory[name].join(', ');
+        }).join('; ');
+    }
+
+    /**
+     * Parses a semicolon-separated inventory string back to a map.
+     */
+    function stringToInventory(str) {
+        var inventory = {};
+        if (!str || !str.trim()) return inventory;
+        str.split(';').forEach(function (entry) {
+            var sep  = entry.indexOf('|');
+            var name = (sep === -1 ? entry : entry.slice(0, sep)).trim();
+            if (!name) return;
+            inventory[name] = sep === -1 ? [] : entry.slice(sep + 1).split(',').map(function (item) {
+                return item.trim();
+            }).filter(Boolean);
+        });
+        return inventory;
+    }
+
+    // -------------------------------------------------------------------------
+    // Quest helpers
+    // -------------------------------------------------------------------------
+
+    function findQuestIndex(quests, title) {
+        var lower = title.toLowerCase();
+        for (var i = 0; i < quests.length; i++) {
+            if (quests[i].title.toLowerCase() === lower) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Applies quest updates to a copy of a quest log. Unknown titles are
+     * added as new quests (active unless a status is given).
+     *
+     * @param {Array<{ title, status, note }>} quests
+     * @param {Array<{ title, status, note }>} updates
+     * @returns {Array<{ title, status, note }>}
+     */
+    function applyQuestUpdates(quests, updates) {
+        var next = cloneValue(quests || []);
+        for (var i = 0; i < updates.length; i++) {
+            var update = updates[i];
+            var idx    = findQuestIndex(next, update.title);
+            if (idx === -1) {
+                next.push({ title: update.title, status: update.status || 'active', note: update.note || '' });
+                continue;
+            }
+            if (update.status)        next[idx].status = update.status;
+            if (update.note !== null) next[idx].note   = update.note;
+        }
+        return next;
+    }
+
+    function questToTag(tag, quest) {
+        var parts = [escapeTagText(quest.title), 'status: ' + quest.status];
+        if (quest.note) parts.push('note: ' + escapeTagText(quest.note));
+        return '[' + tag + ': ' + parts.join(' | ') + ']';
+    }
+
+    function questMarker(status) {
+        if (status === 'done')   return '\u2705';  // ✅
+        if (status === 'failed') return '\u274C';  // ❌
+        return '\u25AB\uFE0F';                      // ▫️
+    }
+
+    /**
+     * Builds the Quests dialog: one field per quest holding its status and
+     * note, plus a field for adding new quests.
+     */
+    function buildQuestDialogFields(quests) {
+        var fields = (quests || []).map(function (quest, i) {
+            return {
+                key:   'quest_' + i,
+                label: quest.title + ' (' + QUEST_STATUSES.concat('remove').join(' / ') + ')',
+                value: quest.status + (quest.note ? ' | note: ' + quest.note : ''),
+            };
+        });
+        fields.push({ key: 'quest_new', label: t('quest_add'), value: '' });
+        return fields;
+    }
+
+    /**
+     * Applies a Quests dialog result. Quests set to "remove" or cleared are
+     * dropped from the log.
+     *
+     * @returns {Array<{ title, status, note }>}
+     */
+    function applyQuestDialogResult(quests, result) {
+        var next = [];
+        (quests || []).forEach(function (quest, i) {
+            var raw = result['quest_' + i];
+            if (raw === undefined) { next.push(cloneValue(quest)); return; }
+            raw = raw.trim();
+            if (!raw || /^remove(d)?$/i.test(raw.split('|')[0].trim())) return;
+            var update = parseQuestEntry(escapeTagText(quest.title) + ' | status: ' + raw);
+            next.push({
+                title:  quest.title,
+                status: (update && update.status) || quest.status,
+                note:   update && update.note !== null ? update.note : '',
+            });
+        });
+        if (result.quest_new) {
+            var added = result.quest_new.split(';').map(parseQuestEntry).filter(Boolean);
+            next = applyQuestUpdates(next, added);
+        }
+        return next;
+    }
+
+    /**
+     * Replays a hand edit of the quest log, from before to after, on another
+     * message's quests. A quest that message changed on its own is left as
+     * it is.
+     *
+     * @returns {Array<{ title, status, note }>}
+     */
+    function rebaseQuestEdit(quests, before, after) {
+        var next = cloneValue(quests || []);
+        function same(a, b) {
+            return (!a && !b) || (!!a && !!b && a.status === b.status && (a.note || '') === (b.note || ''));
+        }
+        before.concat(after).forEach(function (quest) {
+            var oldQuest = before[findQuestIndex(before, quest.title)] || null;
+            var newQuest = after[findQuestIndex(after, quest.title)] || null;
+            var idx      = findQuestIndex(next, quest.title);
+            if (same(oldQuest, newQuest) || !same(oldQuest, idx === -1 ? null : next[idx])) return;
+            if (!newQuest)      next.splice(idx, 1);
+            else if (idx >= 0)  next[idx] = cloneValue(newQuest);
+            else                next.push(cloneValue(newQuest));
+        });
+        return next;
+    }
+
+    /**
+     * Strikes through text with combining long stroke overlays.
+     */
+    function strikeThrough(text) {
+        return text.split('').join('\u0336') + '\u0336';
+    }
+
+    // -------------------------------------------------------------------------
+    // Location helpers
+    // -------------------------------------------------------------------------
+
+    // Parts of a location value, most specific first: "Cave, Eastern Trail, Mount Nibel".
+    var LOCATION_SEPARATOR = /\s*[,、，]\s*/;
+
+    /**
+     * Splits a location value into its hierarchy, most specific place first.
+     *
+     * @param {string} value
+     * @returns {Array<string>}
+     */
+    function parseLocation(value) {
+        return String(value || '').split(LOCATION_SEPARATOR).map(function (part) {
+            return part.trim();
+        }).filter(Boolean);
+    }
+
+    /**
+     * Formats a location as a breadcrumb from the widest area down to the
+     * place itself: "Mount Nibel › Eastern Trail › Mako Crystal Cave".
+     */
+    function formatLocationBreadcrumb(value) {
+        var parts = parseLocation(value);
+        return parts.length > 1 ? parts.reverse().join(' \u203A ') : String(value || '');
+    }
+
+    function placePartKey(part) {
+        return part.toLowerCase().replace(/\s+/g, ' ').replace(/[.!。]+$/, '');
+    }
+
+    /**
+     * Identity of a place: its hierarchy, ignoring case, spacing and separators.
+     */
+    function placeKey(value) {
+        return parseLocation(value).map(placePartKey).join('|');
+    }
+
+    /**
+     * Builds the visited-places log of the active chat from its message
+     * snapshots, in order of first visit.
+     *
+     * @returns {Array<{ name, firstTime, lastTime, messages, characters }>}
+     */
+    function buildPlaceLog() {
+        var store   = getChatStore();
+        var places  = [];
+        var byKey   = {};
+        var indexes = Object.keys(store.messages).map(Number).sort(function (a, b) { return a - b; });
+
+        indexes.forEach(function (idx) {
+            var snap = store.messages[idx];
+            var key  = placeKey(snap.currentLocation);
+            if (!key) return;
+            var place = byKey[key];
+            if (!place) {
+                place = byKey[key] = { name: snap.currentLocation, firstTime: snap.currentTime || '',
+                                       lastTime: '', messages: 0, characters: [] };
+                places.push(place);
+            }
+            place.lastTime = snap.currentTime || place.lastTime;
+            place.messages++;
+            (snap.currentCharacters || []).forEach(function (c) {
+                if (place.characters.indexOf(c.name) === -1) place.characters.push(c.name);
+            });
+        });
+        return places;
+    }
+
+    // Visited places of the active chat for findKnownPlace(), kept up to date
+    // as snapshots are stored: { messages, byKey, places: [{ name, count }] }.
+    // messages is the store.messages object they were read from, so a chat
+    // switch or reset reads them again.
+    var _knownPlaces = null;
+
+    /**
+     * Visited places of the active chat as [{ name, count }], without
+     * walking every snapshot each time a message is stored.
+     */
+    function getKnownPlaces() {
+        var messages = getChatStore().messages;
+        if (!_knownPlaces || _knownPlaces.messages !== messages) {
+            _knownPlaces = { messages: messages, byKey: {}, places: [] };
+            Object.keys(messages).map(Number).sort(function (a, b) { return a - b; }).forEach(function (idx) {
+                countKnownPlace(messages[idx].currentLocation, 1);
+            });
+        }
+        return _knownPlaces.places;
+    }
+
+    /**
+     * Adds (step 1) or removes (step -1) one message spent at a location
+     * in the known places.
+     */
+    function countKnownPlace(location, step) {
+        var key   = placeKey(location);
+        var entry = key ? _knownPlaces.byKey[key] : null;
+        if (!key || (!entry && step < 0)) return;
+        if (!entry) {
+            entry = _knownPlaces.byKey[key] = { name: location, count: 0 };
+            _knownPlaces.places.push(entry);
+        }
+        entry.count += step;
+        if (entry.count > 0) return;
+        delete _knownPlaces.byKey[key];
+        _knownPlaces.places.splice(_knownPlaces.places.indexOf(entry), 1);
+    }
+
+    /**
+     * Returns the stored name of a visited place the location refers to, or
+     * null. A location matches a place with the same hierarchy, or one
+     * whose most specific part is the same and that contains every other
+     * part written ("Mako Crystal Cave" → "Mako Crystal Cave, Eastern
+     * Trail, Mount Nibel"). Ambiguous short names are left alone.
+     */
+    function findKnownPlace(location, places) {
+        var parts = parseLocation(location).map(placePartKey);
+        if (parts.length === 0) return null;
+        var key   = parts.join('|');
+        var found = null;
+
+        for (var i = 0; i < places.length; i++) {
+            var known = parseLocation(places[i].name).map(placePartKey);
+            if (known.join('|') === key) return places[i].name;
+            var contained = known[0] === parts[0] && parts.every(function (part) {
+                return known.indexOf(part) !== -1;
+            });
+            if (!contained) continue;
+            if (found) return null;
+            found = places[i].name;
+        }
+        return found;
+    }
+
+    /**
+     * Renames a visited place in every message snapshot and the chat's
+     * current state.
+     */
+    function renamePlace(oldName, newName) {
+        var s     = getSettings();
+        var store = getChatStore();
+        var key   = placeKey(oldName);
+        Object.keys(store.messages).forEach(function (idx) {
+            if (placeKey(store.messages[idx].currentLocation) === key) store.messages[idx].currentLocation = newName;
+        });
+        if (placeKey(s.currentLocation) === key) {
+            s.currentLocation = newName;
+            store.state = snapshotFromSettings(s);
+        }
+        _knownPlaces = null;
+        PT.log('[PTTracker] Renamed place "' + oldName + '" to "' + newName + '".');
+    }
+
+    /**
+     * One Visited Places dialog label: breadcrumb, message count, first
+     * and last visit time and the characters met there.
+     */
+    function describePlace(place) {
+        var parts = [formatLocationBreadcrumb(place.name),
+                     place.messages === 1 ? t('place_message') : t('place_messages', place.messages)];
+        if (place.firstTime) parts.push(t('place_first', toDisplayDate(place.firstTime)));
+        if (place.lastTime && place.lastTime !== place.firstTime) parts.push(t('place_last', toDisplayDate(place.lastTime)));
+        if (place.characters.length > 0) parts.push(t('place_with', place.characters.join(', ')));
+        return parts.join(' \u00B7 ');
+    }
+
+    // -------------------------------------------------------------------------
+    // Header builders
+    // -------------------------------------------------------------------------
+
+    /**
+     * The previous AI message's snapshot when the field highlights changes
+     * and the header is built for a stored message, else null.
+     */
+    function getChangeBase(settings, field) {
+        return field.highlight && settings.previousSnapshot ? settings.previousSnapshot : null;
+    }
+
+    /**
+     * Whether a field has change highlighting; quests show their status instead.
+     */
+    function canHighlight(field) {
+        return field.key !== 'quests';
+    }
+
+    /**
+     * " ▲2,000" or " ▼500" for a number that changed, else ''.
+     */
+    function formatDelta(value, previous) {
+        if (typeof value !== 'number' || typeof previous !== 'number' || value === previous) return '';
+        return ' ' + (value > previous ? '\u25B2' : '\u25BC') + formatNumber(Math.abs(value - previous));
+    }
+
+    /**
+     * Builds the always-visible part of the message header: one line per
+     * shown schema field except the collapsible sections, e.g. ⏰ Time, 🗺️ Location,
+     * 🌤️ Weather, 💘 Heart Meter and any custom fields. The weather line takes
+     * the icon of its condition and shows the temperature in the configured unit.
+     * Fields with highlighting on are compared with settings.previousSnapshot:
+     * numbers get a ▲/▼ delta and changed text the value it had before.
+     *
+     * @param {{ time, location, weather, heart, characters, fields }} tags
+     * @param {object} settings
+     * @returns {string}
+     */
+    function buildMainText(tags, settings) {
+        var lines  = [];
+        var fields = getFields(settings);
+
+        for (var f = 0; f < fields.length; f++) {
+            var field  = fields[f];
+            if (!field.show || SECTION_FIELDS.indexOf(field.key) !== -1) continue;
+            var prefix = field.emoji ? field.emoji + ' ' : '';
+            var label  = fieldText(field, 'label');
+            var prev   = getChangeBase(settings, field);
+
+            if (field.key === 'heart') {
+                var hearts = usePerCharacterHearts(settings) ? (settings.characterHearts || {}) : {};
+                var names  = Object.keys(hearts);
+                if (names.length > 0) {
+                    for (var i = 0; i < names.length; i++) {
+                        var charPts = hearts[names[i]];
+                        lines.push(prefix + label + ' (' + names[i] + '): ' +
+                                   getHeartEmoji(charPts) + ' ' + formatNumber(charPts) +
+                                   (prev ? formatDelta(charPts, (prev.characterHearts || {})[names[i]]) : ''));
+                    }
+                } else {
+                    var pts   = settings.heartPoints;
+                    var emoji = getHeartEmoji(pts);
+                    lines.push(prefix + label + ': ' + emoji + ' ' + formatNumber(pts) +
+                               (prev ? formatDelta(pts, prev.heartPoints) : ''));
+                }
+                var heartReason = tags.heartReason || settings.heartReason;
+                if (heartReason) lines.push('\uD83D\uDCAC ' + heartReason);
+                (settings.heartEvents || []).forEach(function (event) {
+                    lines.push(describeHeartEvent(event));
+                });
+            } else if (field.key === 'time') {
+                var timeVal  = toDisplayDate(formatTimeValue(tags.time || settings.currentTime || t('unknown')));
+                lines.push(prefix + label + ': ' + formatTimeLine(timeVal, prev ? prev.currentTime : null));
+            } else if (field.key === 'weather') {
+                var weather = tags.weather || settings.currentWeather;
+                var icon    = field.emoji === findField(DEFAULT_FIELDS, 'weather').emoji
+                    ? getWeatherIcon(parseWeather(weather).condition)
+                    : null;
+                if (icon) prefix = icon + ' ';
+                var weatherChange = prev && prev.currentWeather && weather &&
+                                    prev.currentWeather.trim().toLowerCase() !== weather.trim().toLowerCase()
+                    ? t('mark_was', formatWeatherValue(prev.currentWeather))
+                    : '';
+                lines.push(prefix + label + ': ' + (weather ? formatWeatherValue(weather) : t('unknown')) + weatherChange);
+            } else if (field.key === 'location') {
+                var location = tags.location || settings.currentLocation;
+                var moved    = prev && prev.currentLocation && location &&
+                               placeKey(prev.currentLocation) !== placeKey(location)
+                    ? t('mark_was', parseLocation(prev.currentLocation)[0])
+                    : '';
+                lines.push(prefix + label + ': ' + (location ? formatLocationBreadcrumb(location) : t('unknown')) + moved);
+            } else if (!isCustomField(field)) {
+                var val = tags[field.key] || getStateValue(settings, field) || t('unknown');
+                lines.push(prefix + label + ': ' + val);
+            } else {
+                var custom = (tags.fields && tags.fields[field.key] !== undefined)
+                    ? tags.fields[field.key]
+                    : getStateValue(settings, field);
+                var display = (field.type === 'number' && typeof custom === 'number')
+                    ? formatNumber(custom)
+                    : formatFieldValue(field, custom);
+                var before  = prev ? getStateValue(prev, field) : undefined;
+                var shown   = formatFieldValue(field, before);
+                var change  = field.type === 'number'
+                    ? formatDelta(custom, before)
+                    : (shown && display && shown !== display ? t('mark_was', shown) : '');
+                lines.push(prefix + label + ': ' + (display || t('unknown')) + change);
+            }
+        }
+
+        var warnings = settings.currentWarnings || [];
+        for (var w = 0; w < warnings.length; w++) {
+            lines.push('\u26A0\uFE0F ' + warnings[w]);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Builds the collapsible (tap-to-expand) section of the message header.
+     * Shows Characters Present with each character's Outfit, State, and Position
+     * on separate labeled lines, followed by an Off-scene subsection with the
+     * last known details of characters who left, each character's Inventory,
+     * and the Quest log with completed and failed quests struck through.
+     * With highlighting on, arrivals, departures, outfit and state changes
+     * and newly gained items are marked against settings.previousSnapshot.
+     *
+     * @param {{ time, location, weather, heart, characters }} tags
+     * @param {object} settings
+     * @returns {string}
+     */
+    function buildCollapsibleText(tags, settings) {
+        var fields   = getFields(settings);
+        var sections = [];
+
+        for (var f = 0; f < fields.length; f++) {
+            var field = fields[f];
+            if (!field.show) continue;
+
+            if (field.key === 'characters') {
+                var chars = (tags.characters && tags.characters.length > 0)
+                    ? tags.characters
+                    : (settings.currentCharacters || []);
+                var offScene = getOffSceneCharacters({ currentCharacters: chars, characterRoster: settings.characterRoster });
+                if (chars.length === 0 && offScene.length === 0) continue;
+                var prevChars = getChangeBase(settings, field) ? (settings.previousSnapshot.currentCharacters || []) : null;
+
+                var charLines = [fieldText(field, 'label') + ':'];
+                for (var i = 0; i < chars.length; i++) {
+                    var before = prevChars ? findCharacter(prevChars, chars[i].name) : null;
+                    charLines.push('');
+                    pushCharacterLines(charLines, chars[i], before, prevChars && !before ? t('mark_new') : '');
+                }
+                if (offScene.length > 0) {
+                    charLines.push('', t('off_scene') + ':');
+                    for (var r = 0; r < offScene.length; r++) {
+                        var left = prevChars && findCharacter(prevChars, offScene[r].name) ? t('mark_left') : '';
+                        charLines.push('');
+                        pushCharacterLines(charLines, offScene[r], null, left);
+                        if (typeof offScene[r].lastSeen === 'number') {
+                            charLines.push('  ' + t('last_seen', offScene[r].lastSeen));
+                        }
+                    }
+                }
+                sections.push(charLines.join('\n'));
+
+            } else if (field.key === 'inventory') {
+                var inventory = settings.currentInventory || {};
+                var owners    = Object.keys(inventory);
+                if (owners.length === 0) continue;
+                var prevInv   = getChangeBase(settings, field) ? (settings.previousSnapshot.currentInventory || {}) : null;
+
+                var invLines = [(field.emoji ? field.emoji + ' ' : '') + fieldText(field, 'label') + ':'];
+                for (var o = 0; o < owners.length; o++) {
+                    var items = inventory[owners[o]];
+                    invLines.push('');
+                    invLines.push(owners[o]);
+                    if (items.length === 0) invLines.push('  ' + t('empty'));
+                    for (var n = 0; n < items.length; n++) {
+                        var gained = prevInv && (prevInv[owners[o]] || []).indexOf(items[n]) === -1;
+                        invLines.push('  \u2022 ' + items[n] + (gained ? t('mark_new') : ''));
+                    }
+                }
+                sections.push(invLines.join('\n'));
+
+            } else if (field.key === 'quests') {
+                var quests = settings.currentQuests || [];
+                if (quests.length === 0) continue;
+
+                var questLines = [(field.emoji ? field.emoji + ' ' : '') + fieldText(field, 'label') + ':', ''];
+                for (var q = 0; q < quests.length; q++) {
+                    var quest = quests[q];
+                    var title = quest.status === 'active' ? quest.title : strikeThrough(quest.title);
+                    questLines.push(questMarker(quest.status) + ' ' + title);
+                    if (quest.note) questLines.push('  ' + quest.note);
+                }
+                sections.push(questLines.join('\n'));
+            }
+        }
+
+        if (sections.length === 0) return '';
+        return t('tracker') + '\n\n' + sections.join('\n\n');
+    }
+
+    /**
+     * Pushes a character's name and details. With the character's previous
+     * entry, a changed outfit or state is shown as "before → after".
+     */
+    function pushCharacterLines(lines, c, before, mark) {
+        lines.push(c.name + (mark || ''));
+        if (c.outfit)   lines.push('  ' + t('outfit')   + ': ' + formatChange(before && before.outfit, c.outfit));
+        if (c.state)    lines.push('  ' + t('state')    + ': ' + formatChange(before && before.state,  c.state));
+        if (c.position) lines.push('  ' + t('position') + ': ' + c.position);
+    }
+
+    function formatChange(before, after) {
+        return before && before !== after ? before + ' \u2192 ' + after : after;
+    }
+
+    function findCharacter(chars, name) {
+        var lower = name.toLowerCase();
+        for (var i = 0; i < chars.length; i++) {
+            if (chars[i].name.toLowerCase() === lower) return chars[i];
+        }
+        return null;
+    }
+
+    // -------------------------------------------------------------------------
+    // Edit dialog helpers
+    // -------------------------------------------------------------------------
+
+    /**
+     * Builds the Edit dialog field list for a snapshot from the field schema,
+     * with the heart reason right after the heart points.
+     *
+     * @param {object} snap
+     * @returns {Array<{ key, label, value }>}
+     */
+    function buildEditFields(snap) {
+        var view   = settingsForSnapshot(snap);
+        var fields = [];
+        // Quests have their own dialog (📜 Quests in the long-press menu).
+        getFields(view).filter(function (field) {
+            return field.key !== 'quests';
+        }).forEach(function (field) {
+            fields.push(buildEditField(view, snap, field));
+            if (field.key === 'heart') {
+                fields.push({ key: 'heart_reason', label: t('edit_heart_reason'), value: snap.heartReason || '' });
+            }
+        });
+        return fields;
+    }
+
+    function buildEditField(view, snap, field) {
+        if (field.key === 'heart') {
+            return usePerCharacterHearts(view)
+                ? { key: 'heart', label: t('edit_heart_list'),
+                    value: heartsToString(snap.characterHearts) || String(snap.heartPoints) }
+                : { key: 'heart', label: t('edit_heart'), value: String(snap.heartPoints) };
+        }
+        if (field.key === 'characters') {
+            return { key: 'characters', label: t('edit_characters'),
+                     value: charsToString(snap.currentCharacters || []) };
+        }
+        if (field.key === 'inventory') {
+            return { key: 'inventory', label: t('edit_inventory'),
+                     value: inventoryToString(snap.currentInventory) };
+        }
+        if (!isCustomField(field)) {
+            return { key: field.key, label: fieldText(field, 'label'), value: getStateValue(snap, field) || '' };
+        }
+        var label = field.type === 'list' ? t('edit_list', field.label) : field.label;
+        return { key: field.key, label: label, value: formatFieldValue(field, getStateValue(snap, field)) };
+    }
+
+    /**
+     * Applies an Edit dialog result to a copy of the snapshot.
+     *
+     * @param {object} snap
+     * @param {object} result  values keyed by field key
+     * @returns {object} new snapshot
+     */
+    function applyEditResult(snap, result) {
+        var next = cloneValue(snap);
+        // Manually entered values are taken as correct.
+        next.currentWarnings = [];
+        if (result.heart_reason !== undefined) next.heartReason = String(result.heart_reason).trim();
+        getFields(settingsForSnapshot(snap)).forEach(function (field) {
+            var raw = result[field.key];
+            if (raw === undefined || field.key === 'quests') return;
+            if (field.key === 'heart') {
+                var heartList = parseHeartList(raw);
+                var pts       = parseHeartValue(raw);
+                // An empty value clears the per-character meters.
+                if (!String(raw).trim()) next.characterHearts = {};
+                else if (heartList)      next.characterHearts = heartList;
+                else if (!isNaN(pts))    next.heartPoints     = Math.max(0, pts);
+            } else if (field.key === 'characters') {
+                next.currentCharacters = stringToChars(raw);
+            } else if (field.key === 'inventory') {
+                next.currentInventory = stringToInventory(raw);
+            } else if (field.key === 'time') {
+                next.currentTime = normalizeTime(raw);
+            } else if (!isCustomField(field)) {
+                next[BUILTIN_STATE_KEYS[field.key]] = raw;
+            } else {
+                next.currentFields = next.currentFields || {};
+                var value = parseFieldValue(field, raw);
+                if (value === null || value === '') delete next.currentFields[field.key];
+                else next.currentFields[field.key] = value;
+            }
+        });
+        return next;
+    }
+
+    // -------------------------------------------------------------------------
+    // Settings helpers
+    // -------------------------------------------------------------------------
+
+    function getSettings() {
+        if (!PT.extension_settings[EXT_ID]) {
+            PT.extension_settings[EXT_ID] = {};
+        }
+        var s    = PT.extension_settings[EXT_ID];
+        // Schemas saved before knownBuiltinFields existed already had the original five fields.
+        if (Array.isArray(s.fields) && !s.knownBuiltinFields) {
+            s.knownBuiltinFields = Object.keys(LEGACY_SHOW_KEYS);
+        }
+        var keys = Object.keys(DEFAULT_SETTINGS);
+        for (var i = 0; i < keys.length; i++) {
+            var key = keys[i];
+            if (s[key] === undefined) s[key] = cloneValue(DEFAULT_SETTINGS[key]);
+        }
+        if (!Array.isArray(s.fields)) s.fields = cloneValue(DEFAULT_FIELDS);
+        addNewBuiltinFields(s);
+        migrateLegacyShowToggles(s);
+        return s;
+    }
+
+    function cloneValue(value) {
+        if (value === null || typeof value !== 'object') return value;
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Appends built-in fields added in later versions to a saved schema.
+     * Each built-in is only added once, so users can still remove it.
+     */
+    function addNewBuiltinFields(s) {
+        for (var i = 0; i < DEFAULT_FIELDS.length; i++) {
+            var key = DEFAULT_FIELDS[i].key;
+            if (s.knownBuiltinFields.indexOf(key) !== -1) continue;
+            s.knownBuiltinFields.push(key);
+            if (!findField(s.fields, key)) s.fields.push(cloneValue(DEFAULT_FIELDS[i]));
+        }
+    }
+
+    /**
+     * Moves the old showTime…showCharacters toggles into the field schema.
+     */
+    function migrateLegacyShowToggles(s) {
+        var keys = Object.keys(LEGACY_SHOW_KEYS);
+        for (var i = 0; i < keys.length; i++) {
+            var legacyKey = LEGACY_SHOW_KEYS[keys[i]];
+            if (s[legacyKey] === undefined) continue;
+            var field = findField(s.fields, keys[i]);
+            if (field) field.show = s[legacyKey] !== false;
+            delete s[legacyKey];
+        }
+    }
+
+    // -------------------------------------------------------------------------
+    // Field schema
+    // -------------------------------------------------------------------------
+
+    var FIELD_TYPES = ['text', 'number', 'list'];
+
+    function escapeRegExp(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Fills in missing properties of a schema entry. Returns null for
+     * entries without a usable key.
+     */
+    function normalizeField(field) {
+        if (!field || !field.key || !/^[A-Za-z0-9_]+$/.test(field.key)) return null;
+        var tag = String(field.tag || field.key).trim().toLowerCase();
+        if (!/^[a-z0-9_]+$/.test(tag)) return null;
+        return {
+            key:       field.key,
+            tag:       tag,
+            label:     field.label || field.key,
+            emoji:     field.emoji || '',
+            type:      FIELD_TYPES.indexOf(field.type) !== -1 ? field.type : 'text',
+            show:      field.show !== false,
+            highlight: field.highlight !== false,
+            hint:      field.hint || 'value',
+            example:   field.example || '',
+        };
+    }
+
+    /**
+     * Returns the normalized field schema from settings.
+     *
+     * @param {object} settings
+     * @returns {Array<object>}
+     */
+    function getFields(settings) {
+        var fields = (settings && settings.fields) || DEFAULT_FIELDS;
+        var result = [];
+        var seen   = {};
+        for (var i = 0; i < fields.length; i++) {
+            var field = normalizeField(fields[i]);
+            if (!field || seen[field.key]) continue;
+            seen[field.key] = true;
+            if (settings) layerCharacterPreset(field);
+            result.push(field);
+        }
+        return result;
+    }
+
+    function findField(fields, key) {
+        for (var i = 0; i < fields.length; i++) {
+            if (fields[i] && fields[i].key === key) return fields[i];
+        }
+        return null;
+    }
+
+    function isCustomField(field) {
+        return !BUILTIN_STATE_KEYS[field.key];
+    }
+
+    /**
+     * True when the field exists in the schema and is set to be shown.
+     */
+    function isFieldShown(settings, key) {
+        var field = findField(getFields(settings), key);
+        return !!(field && field.show);
+    }
+
+    function getStateValue(state, field) {
+        var stateKey = BUILTIN_STATE_KEYS[field.key];
+        // Time values keep their date in the stored form; show it in the date order.
+        if (field.key === 'time') return toDisplayDate(state[stateKey]);
+        if (stateKey) return state[stateKey];
+        return (state.currentFields || {})[field.key];
+    }
+
+    /**
+     * Formats a custom field value for the header, prompt and Edit dialog.
+     */
+    function formatFieldValue(field, value) {
+        if (value === undefined || value === null || value === '') return '';
+        if (field.type === 'list')   return (value || []).join(', ');
+        return String(value);
+    }
+
+    /**
+     * Parses a raw custom field value by its type. Returns null when the
+     * value is not valid for the type.
+     */
+    function parseFieldValue(field, raw) {
+        if (raw === undefined || raw === null) return null;
+        raw = String(raw).trim();
+        if (field.type === 'number') {
+            var num = parseFloat(raw.replace(/[,\s]/g, ''));
+            return isNaN(num) ? null : num;
+        }
+        if (field.type === 'list') {
+            return raw.split(',').map(function (item) { return item.trim(); }).filter(Boolean);
+        }
+        return raw;
+    }
+
+    /**
+     * Builds the output filter pattern that strips every schema tag and the
+     * JSON tracker block from the displayed message.
+     */
+    function buildOutputFilterPattern(settings) {
+        var tags = getFields(settings).map(function (f) { return escapeRegExp(f.tag); });
+        return '\\[(?:' + tags.join('|') + '):(?:\\\\[\\s\\S]|[^\\\\\\]])*\\]|' + TRACKER_BLOCK_PATTERN + '|' + COMMAND_FILTER_PATTERN;
+    }
+
+    var _outputFilterPattern = null;
+
+    /**
+     * Registers the output filter for the current field schema. Called again
+     * whenever the schema may have changed; the filter is only re-registered
+     * when its pattern differs, e.g. after a custom field was added.
+     */
+    function updateOutputFilter() {
+        var pattern = buildOutputFilterPattern(getSettings());
+        if (pattern === _outputFilterPattern) return;
+        PT.registerOutputFilter(EXT_ID, pattern);
+        PT.log('[PTTracker] Output filter ' + (_outputFilterPattern === null ? 'registered.' : 'updated for the changed field schema.'));
+        _outputFilterPattern = pattern;
+    }
+
+    // -------------------------------------------------------------------------
+    // Character presets
+    // -------------------------------------------------------------------------
+    //
+    // A preset tailors the tracker to one character card:
+    //     {
+    //         show:         { fieldKey: true/false },
+    //         hints:        { fieldKey: prompt hint },
+    //         examples:     { fieldKey: prompt example },
+    //         tagFormat:    'brackets' or 'json',
+    //         promptPreset: name of a prompt template preset,
+    //         heartDefault: starting heart points,
+    //         start:        { time, location, weather, characters: [names] },
+    //     }
+    //
+    // Cards declare one with [pttracker: key: value | key: value] tags;
+    // settings.characterPresets[cardId] holds the user's own, which wins
+    // key by key. The active character's preset is laid over the settings
+    // whenever they are read (getFields, getTagFormat, getPromptTemplate),
+    // so the saved settings themselves never change.
+
+    var _activePreset = null;
+
+    /**
+     * Stable id of a character card: its avatar file, id or name.
+     */
+    function getCardId(character) {
+        if (!character) return null;
+        return String(character.avatar || character.id || character.name || '') || null;
+    }
+
+    function splitPresetList(value) {
+        return value.split(',').map(function (item) { return item.trim(); }).filter(Boolean);
+    }
+
+    /**
+     * Reads the [pttracker: ...] directives of a card into a preset, e.g.
+     * [pttracker: hide: weather | time: Stardate 41153.7 | time_hint: Stardate NNNNN.N].
+     */
+    function parseCardPreset(character) {
+        var preset = {};
+        if (!character) return preset;
+        var desc = (character.description || '') + ' ' +
+                   (character.personality || '') + ' ' +
+                   (character.scenario    || '');
+        findTagBodies(desc, 'pttracker').forEach(function (body) {
+            splitTagParts(body, '|').forEach(function (part) {
+                var sep   = part.indexOf(':');
+                if (sep === -1) return;
+                var key   = part.slice(0, sep).trim().toLowerCase().replace(/\s+/g, '_');
+                var value = part.slice(sep + 1).trim();
+                var field = key.match(/^(.+)_(hint|example)$/);
+                if (key === 'show' || key === 'hide') {
+                    preset.show = preset.show || {};
+                    splitPresetList(value).forEach(function (name) { preset.show[name.toLowerCase()] = key === 'show'; });
+                } else if (key === 'format') {
+                    preset.tagFormat = value.toLowerCase();
+                } else if (key === 'prompt') {
+                    preset.promptPreset = value;
+                } else if (key === 'heart') {
+                    var points = parseHeartValue(value);
+                    if (!isNaN(points)) preset.heartDefault = Math.max(0, points);
+                } else if (key === 'time' || key === 'location' || key === 'weather') {
+                    preset.start = preset.start || {};
+                    preset.start[key] = value;
+                } else if (key === 'characters') {
+                    preset.start = preset.start || {};
+                    preset.start.characters = splitPresetList(value);
+                } else if (field) {
+                    var prop = field[2] === 'hint' ? 'hints' : 'examples';
+                    preset[prop] = preset[prop] || {};
+                    preset[prop][field[1]] = value;
+                } else {
+                    PT.log('[PTTracker] Unknown pttracker directive "' + key + '" in card "' + character.name + '".');
+                }
+            });
+        });
+        return preset;
+    }
+
+    /**
+     * The preset of a character card: its [pttracker: ...] directives with
+     * the stored preset for the card id laid over them.
+     */
+    function getCharacterPreset(character) {
+        var preset = parseCardPreset(character);
+        var stored = getSettings().characterPresets[getCardId(character)] || {};
+        Object.keys(stored).forEach(function (key) {
+            var value = cloneValue(stored[key]);
+            if (value && typeof value === 'object' && !Array.isArray(value) && preset[key]) {
+                Object.keys(value).forEach(function (k) { preset[key][k] = value[k]; });
+            } else {
+                preset[key] = value;
+            }
+        });
+        return preset;
+    }
+
+    /**
+     * Loads the active character's preset. Starting state and heart default
+     * are read from the preset when a chat starts instead.
+     */
+    function loadCharacterPreset() {
+        var ctx       = PT.getContext();
+        var character = ctx && ctx.character;
+        _activePreset = getCharacterPreset(character);
+        if (Object.keys(_activePreset).length > 0) PT.log('[PTTracker] Loaded character preset for "' + getCardId(character) + '".');
+    }
+
+    /**
+     * The active preset's value for a field in one of its show, hints or
+     * examples groups, matched by field key or tag.
+     */
+    function getPresetValue(group, field) {
+        var values = (_activePreset && _activePreset[group]) || {};
+        return values[field.key] !== undefined ? values[field.key] : values[field.tag.toLowerCase()];
+    }
+
+    function layerCharacterPreset(field) {
+        var show    = getPresetValue('show', field);
+        var hint    = getPresetValue('hints', field);
+        var example = getPresetValue('examples', field);
+        if (show    !== undefined) field.show    = show;
+        if (hint    !== undefined) field.hint    = hint;
+        if (example !== undefined) field.example = example;
+    }
+
+    function getTagFormat(settings) {
+        var preset = _activePreset && _activePreset.tagFormat;
+        return TAG_FORMATS.indexOf(preset) !== -1 ? preset : settings.tagFormat;
+    }
+
+    /**
+     * The prompt template preset the active character preset names, or null.
+     */
+    function getPresetPrompts(settings) {
+        var name = _activePreset && _activePreset.promptPreset ? findPresetName(settings, _activePreset.promptPreset) : null;
+        return name !== null ? settings.promptPresets[name] : null;
+    }
+
+    /**
+     * A draft of the active character's preset holding the toggles and tag
+     * format as they are shown now, for the Settings dialog to change and
+     * save. Returns null when no character is active.
+     */
+    function draftCharacterPreset() {
+        var s      = getSettings();
+        var ctx    = PT.getContext();
+        var cardId = getCardId(ctx && ctx.character);
+        if (!cardId) return null;
+        var preset = cloneValue(s.characterPresets[cardId] || {});
+        preset.show = {};
+        getFields(s).forEach(function (field) { preset.show[field.key] = field.show; });
+        preset.tagFormat = getTagFormat(s);
+        return preset;
+    }
+
+    /**
+     * Stores a preset drafted with draftCharacterPreset() for the active
+     * character. Returns false when no character is active.
+     */
+    function saveCharacterPreset(preset) {
+        var s      = getSettings();
+        var ctx    = PT.getContext();
+        var cardId = getCardId(ctx && ctx.character);
+        if (!cardId) return false;
+        s.characterPresets[cardId] = preset;
+        loadCharacterPreset();
+        PT.log('[PTTracker] Character preset saved for "' + cardId + '".');
+        return true;
+    }
+
+    function clearCharacterPreset() {
+        var s      = getSettings();
+        var ctx    = PT.getContext();
+        var cardId = getCardId(ctx && ctx.character);
+        if (!cardId || !s.characterPresets[cardId]) return false;
+        delete s.characterPresets[cardId];
+        loadCharacterPreset();
+        PT.log('[PTTracker] Character preset cleared for "' + cardId + '".');
+        return true;
+    }
+
+    // -------------------------------------------------------------------------
+    // Per-chat tracker store
+    // -------------------------------------------------------------------------
+    //
+    // Each chat's store is saved with the chat, in its metadata under EXT_ID.
+    // Hosts without chat metadata keep it in settings.chats[chatId] instead.
+    //
+    // store = {
+    //     id:          id of the chat, generated when the store is created,
+    //     state:       snapshot of the chat's current tracker values,
+    //     messages:    { [messageIndex]: snapshot shown in that message's header },
+    //     messageKeys: { [messageIndex]: fingerprint of the message text the snapshot belongs to },
+    //     commands:    { [messageIndex]: { key, commands, lines, stripped, result } } for user messages with
+    //                  /tracker commands; result holds the Edit dialog values they set,
+    //     history:     { [messageIndex]: { base, versions: [{ changes, removed, source, time }], position } },
+    // }
+    //
+    // A snapshot has the same shape as the settings.current* fields:
+    //     { currentTime, currentLocation, currentWeather, heartPoints, heartReason,
+    //       heartEvents, characterHearts, currentCharacters, characterRoster,
+    //       currentFields, currentInventory, currentQuests, currentWarnings }
+    //
+    // settings.current* always mirror the state of the chat that is loaded,
+    // so header and prompt builders can keep reading them directly.
+
+    var SNAPSHOT_KEYS = [
+        'currentTime', 'currentLocation', 'currentWeather', 'heartPoints', 'heartReason',
+        'heartEvents', 'characterHearts', 'currentCharacters', 'characterRoster',
+        'currentFields', 'currentInventory', 'currentQuests', 'currentWarnings',
+    ];
+
+    function getChatMetadata(ctx) {
+        var meta = ctx && (ctx.chatMetadata || ctx.chat_metadata);
+        return meta && typeof meta === 'object' ? meta : null;
+    }
+
+    function getHostChatId(ctx) {
+        var id = ctx && (ctx.chatId || ctx.chat_id || ctx.chatName);
+        return id !== undefined && id !== null && id !== '' ? String(id) : null;
+    }
+
+    /**
+     * The store kept in the active chat's metadata, created on first use.
+     * A store the settings hold for the chat's id moves into the metadata.
+     * Returns null when the host has no chat metadata.
+     */
+    function getMetadataStore() {
+        var ctx  = PT.getContext();
+        var meta = getChatMetadata(ctx);
+        if (!meta) return null;
+        if (!meta[EXT_ID] || typeof meta[EXT_ID] !== 'object') {
+            var s      = getSettings();
+            var hostId = getHostChatId(ctx);
+            var store  = (hostId && s.chats[hostId]) || {};
+            if (hostId) delete s.chats[hostId];
+            store.id = 'chat-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+            meta[EXT_ID] = store;
+            if (typeof ctx.saveMetadata === 'function') ctx.saveMetadata();
+        }
+        return meta[EXT_ID];
+    }
+
+    /**
+     * Returns a key unique to the active chat: the id of its metadata store,
+     * or the host's chat id when the host has no chat metadata.
+     */
+    function getChatKey() {
+        var ctx = PT.getContext();
+        if (!ctx) return 'default';
+        var store = getMetadataStore();
+        if (store) return 'meta:' + store.id;
+        return getHostChatId(ctx) || 'default';
+    }
+
+    /**
+     * Drops the settings store of a deleted chat. Stores kept in chat
+     * metadata go with their chat; the active chat's store is never dropped.
+     */
+    function dropChatStore(chatKey) {
+        var s = getSettings();
+        if (chatKey === undefined || chatKey === null || chatKey === '') return;
+        if (String(chatKey) === _chatKey || !s.chats[chatKey]) return;
+        delete s.chats[chatKey];
+        PT.log('[PTTracker] Dropped the tracker store of deleted chat "' + chatKey + '".');
+    }
+
+    function getChatStore() {
+        var s = getSettings();
+        if (!_chatKey) _chatKey = getChatKey();
+        var store = getMetadataStore();
+        if (!store) {
+            if (!s.chats[_chatKey]) s.chats[_chatKey] = {};
+            store = s.chats[_chatKey];
+        }
+        if (store.state === undefined) store.state       = null;
+        if (!store.messages)           store.messages    = {};
+        if (!store.messageKeys)        store.messageKeys = {};
+        if (!store.commands)           store.commands    = {};
+        if (!store.history)            store.history     = {};
+        return store;
+    }
+
+    /**
+     * Saves the settings and, when the active chat's store lives in its
+     * metadata, the chat's metadata.
+     */
+    function saveChatStore() {
+        PT.saveSettings();
+        var ctx = PT.getContext();
+        if (getChatMetadata(ctx) && typeof ctx.saveMetadata === 'function') ctx.saveMetadata();
+    }
+
+    function snapshotFromSettings(s) {
+        var snap = {};
+        for (var i = 0; i < SNAPSHOT_KEYS.length; i++) {
+            snap[SNAPSHOT_KEYS[i]] = cloneValue(s[SNAPSHOT_KEYS[i]]);
+        }
+        return snap;
+    }
+
+    function applySnapshot(s, snap) {
+        for (var i = 0; i < SNAPSHOT_KEYS.length; i++) {
+            var key = SNAPSHOT_KEYS[i];
+            if (snap[key] !== undefined) s[key] = cloneValue(snap[key]);
+        }
+    }
+
+    function getMessageSnapshot(messageIndex) {
+        var snap = getChatStore().messages[messageIndex];
+        return snap ? cloneValue(snap) : null;
+    }
+
+    /**
+     * Stores a message snapshot. Every source but 'undo' and 'redo' also
+     * records it as a new version in the message's history.
+     */
+    function setMessageSnapshot(messageIndex, snap, source) {
+        var store = getChatStore();
+        var text  = findMessageText(messageIndex);
+        if (_knownPlaces && _knownPlaces.messages === store.messages) {
+            if (store.messages[messageIndex]) countKnownPlace(store.messages[messageIndex].currentLocation, -1);
+            countKnownPlace(snap.currentLocation, 1);
+        }
+        store.messages[messageIndex] = cloneValue(snap);
+        if (text) store.messageKeys[messageIndex] = fingerprintText(text);
+        if (source !== 'undo' && source !== 'redo') recordSnapshotVersion(messageIndex, snap, source);
+    }
+
+    function deleteMessageSnapshot(messageIndex) {
+        var store = getChatStore();
+        if (_knownPlaces && _knownPlaces.messages === store.messages && store.messages[messageIndex]) {
+            countKnownPlace(store.messages[messageIndex].currentLocation, -1);
+        }
+        delete store.messages[messageIndex];
+        delete store.messageKeys[messageIndex];
+        delete store.history[messageIndex];
+    }
+
+    /**
+     * Short hash of a message text, used to tell whether a stored snapshot
+     * still belongs to the message at its index.
+     */
+    function fingerprintText(text) {
+        var hash = 5381;
+        for (var i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36) + ':' + text.length;
+    }
+
+    /**
+     * Returns the snapshot of the closest earlier AI message that has one,
+     * with the commands of the user messages since laid on top, or null if
+     * none is stored.
+     */
+    function getPreviousSnapshot(beforeIndex) {
+        var messages = getChatStore().messages;
+        var best     = -1;
+        var keys     = Object.keys(messages);
+        for (var i = 0; i < keys.length; i++) {
+            var idx = parseInt(keys[i], 10);
+            if (idx < beforeIndex && idx > best) best = idx;
+        }
+        return best === -1 ? null : layerCommands(cloneValue(messages[best]), best, beforeIndex);
+    }
+
+    /**
+     * Applies the stored command values of the user messages between two
+     * message indexes (both exclusive) to snap, oldest first. Commands stay
+     * with their user message, so deleting it takes them back.
+     */
+    function layerCommands(snap, afterIndex, beforeIndex) {
+        var commands = getChatStore().commands;
+        Object.keys(commands).map(Number)
+            .filter(function (idx) { return idx > afterIndex && idx < beforeIndex && commands[idx].result; })
+            .sort(function (a, b) { return a - b; })
+            .forEach(function (idx) { snap = applyEditResult(snap, commands[idx].result); });
+        return snap;
+    }
+
+    /**
+     * The state a chat starts from: empty values and the default heart
+     * points, or the character's [heart_default: N] when present, with the
+     * starting values of the character's preset on top.
+     */
+    function defaultSnapshot() {
+        var s    = getSettings();
+        var snap = {
+            currentTime:       '',
+            currentLocation:   '',
+            currentWeather:    '',
+            currentCharacters: [],
+            characterRoster:   {},
+            characterHearts:   {},
+            currentFields:     {},
+            currentInventory:  {},
+            currentQuests:     [],
+            currentWarnings:   [],
+            heartPoints:       s.defaultHeartPoints || 0,
+            heartReason:       '',
+            heartEvents:       [],
+        };
+        var ctx = PT.getContext();
+        var charDefault = getCharacterHeartDefault(ctx && ctx.character);
+        if (charDefault > 0) snap.heartPoints = charDefault;
+
+        var start = getCharacterPreset(ctx && ctx.character).start || {};
+        if (start.time)     snap.currentTime     = normalizeTime(start.time);
+        if (start.location) snap.currentLocation = start.location;
+        if (start.weather)  snap.currentWeather  = start.weather;
+        if (start.characters) {
+            snap.currentCharacters = start.characters.map(function (name) {
+                return { name: name, outfit: '', state: '', position: '' };
+            });
+        }
+        return snap;
+    }
+
+    /**
+     * Loads the active chat's stored state into settings.current*. A chat
+     * seen for the first time starts from the defaults, using the
+     * character's [heart_default: N] when present. When adoptLegacy is set
+     * and no chat has been stored yet, the existing global values are kept
+     * so state saved by older versions is not lost.
+     */
+    function loadChatState(adoptLegacy) {
+        var s = getSettings();
+        _chatKey = getChatKey();
+        var isFirstStore = !s.legacyStateAdopted && Object.keys(s.chats).length === 0;
+        var store        = getChatStore();
+
+        if (store.state) {
+            applySnapshot(s, store.state);
+        } else if (!(adoptLegacy && isFirstStore)) {
+            applySnapshot(s, defaultSnapshot());
+        } else {
+            var legacyCtx     = PT.getContext();
+            var legacyDefault = getCharacterHeartDefault(legacyCtx && legacyCtx.character);
+            if (s.heartPoints === 0 && legacyDefault > 0) s.heartPoints = legacyDefault;
+            // The character preset's starting values fill what was never set.
+            var fresh = defaultSnapshot();
+            ['currentTime', 'currentLocation', 'currentWeather'].forEach(function (key) {
+                if (!s[key]) s[key] = fresh[key];
+            });
+            if (s.currentCharacters.length === 0) s.currentCharacters = fresh.currentCharacters;
+        }
+
+        store.state          = snapshotFromSettings(s);
+        s.legacyStateAdopted = true;
+        saveChatStore();
+        PT.log('[PTTracker] Loaded tracker state for chat "' + _chatKey + '".');
+    }
+
+    /**
+     * Re-aligns stored snapshots with the chat's messages after a deletion.
+     * Snapshots are matched to their message by text fingerprint, so they
+     * follow their message if the host re-indexes the chat, and snapshots of
+     * deleted messages are dropped. Snapshots older than the loaded messages
+     * are kept as they are. A chat left without messages loses them all.
+     */
+    function reconcileSnapshots() {
+        var ctx = PT.getContext();
+        if (!ctx) return;
+        var store = getChatStore();
+        var all   = getChatMessages();
+
+        if (all.length === 0 && (Array.isArray(ctx.chat) || Array.isArray(ctx.recentMessages))) {
+            store.messages    = {};
+            store.messageKeys = {};
+            store.history     = {};
+            store.commands    = {};
+            return;
+        }
+
+        var minIndex = Infinity;
+        for (var i = 0; i < all.length; i++) {
+            if (all[i].index < minIndex) minIndex = all[i].index;
+        }
+
+        var oldMessages = store.messages;
+        var oldKeys     = store.messageKeys;
+        var oldHistory  = store.history;
+        var byKey       = {};
+        Object.keys(oldKeys).forEach(function (idx) {
+            if (byKey[oldKeys[idx]] === undefined) byKey[oldKeys[idx]] = idx;
+        });
+
+        var messages = {};
+        var keys     = {};
+        var history  = {};
+        Object.keys(oldMessages).forEach(function (idx) {
+            if (parseInt(idx, 10) >= minIndex) return;
+            messages[idx] = oldMessages[idx];
+            if (oldKeys[idx] !== undefined) keys[idx] = oldKeys[idx];
+            if (oldHistory[idx])             history[idx] = oldHistory[idx];
+        });
+
+        all.forEach(function (m) {
+            if (m.isUser) return;
+            var fp   = fingerprintText(m.text || '');
+            var from = null;
+            // Snapshots stored before fingerprints existed are kept in place.
+            if (oldMessages[m.index] && (oldKeys[m.index] === fp || oldKeys[m.index] === undefined)) {
+                from = m.index;
+            } else if (byKey[fp] !== undefined && oldMessages[byKey[fp]]) {
+                from = byKey[fp];
+            }
+            if (from === null) return;
+            messages[m.index] = oldMessages[from];
+            keys[m.index]     = fp;
+            if (oldHistory[from]) history[m.index] = oldHistory[from];
+        });
+
+        store.messages    = messages;
+        store.messageKeys = keys;
+        store.history     = history;
+
+        // Command confirmations follow their user message the same way.
+        var oldCommands = store.commands;
+        var byCommand   = {};
+        var commands    = {};
+        Object.keys(oldCommands).forEach(function (idx) {
+            if (parseInt(idx, 10) < minIndex) commands[idx] = oldCommands[idx];
+            else if (byCommand[oldCommands[idx].key] === undefined) byCommand[oldCommands[idx].key] = idx;
+        });
+        all.forEach(function (m) {
+            if (!m.isUser) return;
+            var from = byCommand[fingerprintText(stripCommandLines(m.text))];
+            if (from !== undefined) commands[m.index] = oldCommands[from];
+        });
+        store.commands = commands;
+    }
+
+    // -------------------------------------------------------------------------
+    // Prompt injection
+    // -------------------------------------------------------------------------
+
+    /**
+     * Format lines for every schema field, e.g. "[time: h:MM AM/PM; ...]".
+     * The heart line depends on the heart meter mode.
+     *
+     * @param {object} settings
+     * @returns {Array<string>}
+     */
+    function buildTagFormatLines(settings) {
+        if (useJsonFormat(settings)) return trackerBlockLines(buildJsonFormat(settings));
+        return getFields(settings).map(function (field) {
+            if (field.key === 'heart' && usePerCharacterHearts(settings)) {
+                return '[' + field.tag + ': ' + t('ph_name') + '=points_value; ' + t('ph_name') + '=points_value]';
+            }
+            return '[' + field.tag + ': ' + fieldText(field, 'hint') + ']';
+        });
+    }
+
+    function charToTag(tag, c) {
+        var parts = [escapeTagText(c.name)];
+        if (c.outfit)   parts.push('outfit: '   + escapeTagText(c.outfit));
+        if (c.state)    parts.push('state: '    + escapeTagText(c.state));
+        if (c.position) parts.push('position: ' + escapeTagText(c.position));
+        return '[' + tag + ': ' + parts.join(' | ') + ']';
+    }
+
+    /**
+     * Tag lines describing the current value of every schema field.
+     */
+    function buildCurrentStateLines(settings) {
+        if (useJsonFormat(settings)) return trackerBlockLines(buildJsonState(settings));
+        var perCharacter = usePerCharacterHearts(settings);
+        var lines        = [];
+        getFields(settings).forEach(function (field) {
+            if (field.key === 'characters') {
+                (settings.currentCharacters || []).forEach(function (c) {
+                    lines.push(charToTag(field.tag, c));
+                });
+            } else if (field.key === 'heart') {
+                lines.push('[' + field.tag + ': ' + (perCharacter
+                    ? (heartsToString(settings.characterHearts) || t('p_no_values'))
+                    : settings.heartPoints) + ']');
+            } else if (field.key === 'inventory') {
+                var inventory = settings.currentInventory || {};
+                Object.keys(inventory).forEach(function (name) {
+                    lines.push('[' + field.tag + ': ' + escapeTagText(name) + ' | ' +
+                               (escapeTagText(inventory[name].join(', ')) || t('p_nothing')) + ']');
+                });
+            } else if (field.key === 'quests') {
+                (settings.currentQuests || []).forEach(function (quest) {
+                    lines.push(questToTag(field.tag, quest));
+                });
+            } else {
+                var value = isCustomField(field)
+                    ? formatFieldValue(field, getStateValue(settings, field))
+                    : getStateValue(settings, field);
+                lines.push('[' + field.tag + ': ' + (escapeTagText(value || '') || t('p_unknown')) + ']');
+            }
+        });
+        return lines;
+    }
+
+    function buildExampleLines(settings) {
+        if (useJsonFormat(settings)) return trackerBlockLines(buildJsonExample(settings));
+        var perCharacter = usePerCharacterHearts(settings);
+        var lines        = [];
+        getFields(settings).forEach(function (field) {
+            if (field.key === 'characters') {
+                exampleCharacters().forEach(function (c) {
+                    lines.push(charToTag(field.tag, c));
+                });
+            } else if (field.key === 'heart') {
+                lines.push('[' + field.tag + ': ' + (perCharacter ? 'Alice=5000; Bob=2000' : '5000') + ']');
+            } else if (field.key === 'inventory') {
+                lines.push('[' + field.tag + ': {{user}} | +' + t('example_item_gained') + ' | -' + t('example_item_lost') + ']');
+            } else if (field.key === 'quests') {
+                lines.push(questToTag(field.tag, exampleQuest()));
+            } else {
+                lines.push('[' + field.tag + ': ' + (fieldText(field, 'example') || fieldText(field, 'hint')) + ']');
+            }
+        });
+        return lines;
+    }
+
+    function exampleCharacters() {
+        var outfits   = t('example_outfits');
+        var states    = t('example_states');
+        var positions = t('example_positions');
+        return ['{{user}}', 'Alice', 'Bob'].map(function (name, i) {
+            return { name: name, outfit: outfits[i], state: states[i], position: positions[i] };
+        });
+    }
+
+    function exampleQuest() {
+        return { title: t('example_quest_title'), status: 'active', note: t('example_quest_note') };
+    }
+
+    function useJsonFormat(settings) {
+        return getTagFormat(settings) === 'json';
+    }
+
+    /**
+     * How the prompt refers to a field's tag: "[inv: ...]" for bracket
+     * tags, "inv" for the JSON tracker block.
+     */
+    function tagRef(settings, field) {
+        return useJsonFormat(settings) ? '"' + field.tag + '"' : '[' + field.tag + ': ...]';
+    }
+
+    /**
+     * Lines of a <tracker> block with one top-level key per line, keeping
+     * nested values compact so the prompt stays short.
+     */
+    function trackerBlockLines(data) {
+        var keys = Object.keys(data);
+        return ['<tracker>', '{'].concat(keys.map(function (key, i) {
+            return '  ' + JSON.stringify(key) + ': ' + JSON.stringify(data[key]) + (i < keys.length - 1 ? ',' : '');
+        }), ['}', '</tracker>']);
+    }
+
+    /**
+     * JSON tracker block with a placeholder describing every schema field.
+     */
+    function buildJsonFormat(settings) {
+        var data = {};
+        getFields(settings).forEach(function (field) {
+            if (field.key === 'characters') {
+                data[field.tag] = [{ name: t('ph_name'), outfit: t('ph_outfit'), state: t('ph_state'), position: t('ph_position') }];
+            } else if (field.key === 'heart') {
+                if (usePerCharacterHearts(settings)) {
+                    data[field.tag] = {};
+                    data[field.tag][t('ph_name')] = 'points_value';
+                } else {
+                    data[field.tag] = 'points_value';
+                }
+            } else if (field.key === 'inventory') {
+                data[field.tag] = {};
+                data[field.tag][t('ph_name')] = { add: [t('ph_item_gained')], remove: [t('ph_item_lost')] };
+            } else if (field.key === 'quests') {
+                data[field.tag] = [{ title: t('ph_quest_title'), status: 'active/done/failed', note: t('ph_quest_note') }];
+            } else {
+                data[field.tag] = fieldText(field, 'hint');
+            }
+        });
+        return data;
+    }
+
+    /**
+     * JSON tracker block holding the current value of every schema field.
+     */
+    function buildJsonState(settings) {
+        var data = {};
+        getFields(settings).forEach(function (field) {
+            if (field.key === 'characters') {
+                data[field.tag] = (settings.currentCharacters || []).map(function (c) {
+                    return { name: c.name, outfit: c.outfit, state: c.state, position: c.position };
+                });
+            } else if (field.key === 'heart') {
+                data[field.tag] = usePerCharacterHearts(settings)
+                    ? cloneValue(settings.characterHearts || {})
+                    : settings.heartPoints;
+            } else if (field.key === 'inventory') {
+                data[field.tag] = cloneValue(settings.currentInventory || {});
+            } else if (field.key === 'quests') {
+                data[field.tag] = (settings.currentQuests || []).map(function (q) {
+                    return { title: q.title, status: q.status, note: q.note || '' };
+                });
+            } else {
+                var value = getStateValue(settings, field);
+                data[field.tag] = isCustomField(field) && Array.isArray(value) ? value : (value || t('p_unknown'));
+            }
+        });
+        return data;
+    }
+
+    function buildJsonExample(settings) {
+        var data = {};
+        getFields(settings).forEach(function (field) {
+            if (field.key === 'characters') {
+                data[field.tag] = exampleCharacters();
+            } else if (field.key === 'heart') {
+                data[field.tag] = usePerCharacterHearts(settings) ? { Alice: 5000, Bob: 2000 } : 5000;
+            } else if (field.key === 'inventory') {
+                data[field.tag] = { '{{user}}': { add: [t('example_item_gained')], remove: [t('example_item_lost')] } };
+            } else if (field.key === 'quests') {
+                data[field.tag] = [exampleQuest()];
+            } else {
+                data[field.tag] = fieldText(field, 'example') || fieldText(field, 'hint');
+            }
+        });
+        return data;
+    }
+
+    // -------------------------------------------------------------------------
+    // Prompt templates
+    // -------------------------------------------------------------------------
+    //
+    // The injected prompt and the extraction prompt are rendered from
+    // templates. settings.promptTemplate and settings.extractionTemplate hold
+    // the user's templates; an empty string means the built-in default of the
+    // active locale. Placeholders that render empty drop out together with
+    // their blank line, and unknown placeholders such as {{user}} are left for
+    // the host.
+
+    function defaultPromptTemplate() {
+        return [
+            '[PTTracker Instructions]',
+            t('p_intro'),
+            '',
+            '{{tag_format}}',
+            '',
+            '{{rules}}',
+            '',
+            '{{heart_rules}}',
+            '',
+            '{{corrections}}',
+            '',
+            '{{off_scene}}',
+            '',
+            t('p_state'),
+            '{{tracker_state}}',
+            '',
+            '{{update_rule}}',
+            '',
+            t('p_example'),
+            '{{example}}',
+        ].join('\n');
+    }
+
+    function defaultExtractionTemplate() {
+        return [
+            t('x_intro'),
+            '',
+            t('x_message'),
+            '"""{{message}}"""',
+            '',
+            t('x_previous'),
+            '{{previous_state}}',
+            '',
+            t('x_carry'),
+            '',
+            t('x_output'),
+            '{{tag_format}}',
+            '',
+            '{{rules}}',
+            '',
+            t('x_only'),
+        ].join('\n');
+    }
+
+    // Placeholders of both templates; the extraction template adds {{message}} and {{previous_state}}.
+    var PROMPT_PLACEHOLDERS = [
+        'output_format', 'tag_format', 'rules', 'heart_rules', 'heart_tiers', 'corrections',
+        'off_scene', 'tracker_state', 'update_rule', 'example',
+    ];
+
+    function getPromptTemplate(settings) {
+        var preset = getPresetPrompts(settings);
+        return (preset ? preset.prompt : settings.promptTemplate) || defaultPromptTemplate();
+    }
+
+    function getExtractionTemplate(settings) {
+        var preset = getPresetPrompts(settings);
+        return (preset ? preset.extraction : settings.extractionTemplate) || defaultExtractionTemplate();
+    }
+
+    /**
+     * Replaces {{name}} placeholders with their values. Placeholders that
+     * render empty are removed first, so the blank lines around them
+     * collapse without touching the inserted text.
+     *
+     * @param {string} template
+     * @param {object} values  placeholder name → text
+     * @returns {string}
+     */
+    function renderTemplate(template, values) {
+        var pattern = /\{\{(\w+)\}\}/g;
+        function known(name) {
+            return Object.prototype.hasOwnProperty.call(values, name);
+        }
+        var text = template.replace(pattern, function (match, name) {
+            return known(name) && !values[name] ? '' : match;
+        }).replace(/\n{3,}/g, '\n\n');
+        return text.replace(pattern, function (match, name) {
+            return known(name) ? String(values[name]) : match;
+        }).trim();
+    }
+
+    function buildHeartTierLines() {
+        var names = t('tiers');
+        var tiers = [
+            [0,     4999,  '     ', '\uD83D\uDDA4'],
+            [5000,  19999, '  ',    '\uD83D\uDC9C'],
+            [20000, 29999, ' ',     '\uD83D\uDC99'],
+            [30000, 39999, ' ',     '\uD83D\uDC9A'],
+            [40000, 49999, ' ',     '\uD83D\uDC9B'],
+            [50000, 59999, ' ',     '\uD83E\uDDE1'],
+            [60000, 69999, ' ',     '\u2764\uFE0F'],
+        ];
+        return tiers.map(function (tier, i) {
+            return '  ' + formatNumber(tier[0]) + '\u2013' + formatNumber(tier[1]) + tier[2] +
+                '\u2192 ' + tier[3] + ' ' + names[i];
+        });
+    }
+
+    /**
+     * Placeholder values shared by the injected and the extraction prompt.
+     *
+     * @param {object} settings
+     * @returns {object} placeholder name → text
+     */
+    function buildPromptValues(settings) {
+        var fields       = getFields(settings);
+        var json         = useJsonFormat(settings);
+        var perCharacter = usePerCharacterHearts(settings);
+        var charField    = findField(fields, 'characters');
+        var heartField   = findField(fields, 'heart');
+        var invField     = findField(fields, 'inventory');
+        var questField   = findField(fields, 'quests');
+        var rules        = [];
+        var optionalTags = [];
+
+        if (t('p_language')) rules.push(t('p_language'));
+        if (!json)           rules.push(t('p_escape'));
+        // Command lines the host did not let us strip from the message reach the model.
+        var commands = getChatStore().commands;
+        if (Object.keys(commands).some(function (idx) { return commands[idx].stripped === false; })) {
+            rules.push(t('p_commands'));
+        }
+
+        if (charField) {
+            rules.push(t(json ? 'p_char_json' : 'p_char_tags', tagRef(settings, charField)));
+        }
+
+        if (invField) {
+            rules.push(t('p_inv_title') + '\n' + t(json ? 'p_inv_json' : 'p_inv_tags', tagRef(settings, invField)));
+            optionalTags.push(tagRef(settings, invField));
+        }
+
+        if (questField) {
+            rules.push(t('p_quest_title') + '\n' +
+                       t(json ? 'p_quest_json' : 'p_quest_tags', tagRef(settings, questField)) + ' ' + t('p_quest_status'));
+            optionalTags.push(tagRef(settings, questField));
+        }
+
+        var heartRules = '';
+        if (heartField) {
+            heartRules =
+                t('p_heart_title') + '\n' +
+                t(perCharacter ? 'p_heart_per' : 'p_heart_single') + ' ' + t('p_heart_limits') + ' ' +
+                t('p_heart_reason', json
+                    ? '"' + heartField.tag + '_reason": "' + t('ph_reason') + '"'
+                    : '[' + heartField.tag + ': ' + (perCharacter ? t('ph_name') + '=points_value' : fieldText(heartField, 'hint')) +
+                      ' | reason: ' + t('ph_reason') + ']') + '\n' +
+                '\n' +
+                t('p_heart_ranges') + '\n' +
+                buildHeartTierLines().join('\n');
+        }
+
+        var warnings    = settings.currentWarnings || [];
+        var corrections = warnings.length === 0 ? '' :
+            t('p_corrections') + '\n' +
+            warnings.map(function (w) { return '- ' + w; }).join('\n');
+
+        var offScene = charField ? getOffSceneCharacters(settings).slice(0, ROSTER_PROMPT_LIMIT) : [];
+        var offSceneText = offScene.length === 0 ? '' :
+            t('p_off_scene') + '\n' + offScene.map(describeRosterEntry).join('\n');
+
+        var omit = optionalTags.length > 0
+            ? t(json ? 'p_omit_key_except' : 'p_omit_tag_except', optionalTags.join(t('p_and')))
+            : t(json ? 'p_omit_key' : 'p_omit_tag');
+
+        return {
+            output_format: t(json ? 'p_format_json' : 'p_format_tags'),
+            tag_format:    buildTagFormatLines(settings).join('\n'),
+            rules:         rules.join('\n\n'),
+            heart_rules:   heartRules,
+            heart_tiers:   heartField ? buildHeartTierLines().join('\n') : '',
+            corrections:   corrections,
+            off_scene:     offSceneText,
+            tracker_state: buildCurrentStateLines(settings).join('\n'),
+            update_rule:   t('p_update') + ' ' + omit,
+            example:       buildExampleLines(settings).join('\n'),
+        };
+    }
+
+    function buildPrompt(settings) {
+        return renderTemplate(getPromptTemplate(settings), buildPromptValues(settings));
+    }
+
+    function injectPrompt() {
+        var s = getSettings();
+        if (!s.enabled) {
+            PT.setExtensionPrompt(EXT_ID, '', PT.INJECTION_POSITION.AFTER_CHAR_DEFS, s.scanDepth);
+            PT.setExtensionPrompt(MILESTONE_PROMPT_ID, '', PT.INJECTION_POSITION.AFTER_CHAR_DEFS, s.scanDepth);
+            return;
+        }
+        PT.setExtensionPrompt(
+            EXT_ID,
+            buildPrompt(s),
+            PT.INJECTION_POSITION.AFTER_CHAR_DEFS,
+            s.scanDepth
+        );
+        PT.setExtensionPrompt(
+            MILESTONE_PROMPT_ID,
+            buildMilestonePrompt(s),
+            PT.INJECTION_POSITION.AFTER_CHAR_DEFS,
+            s.scanDepth
+        );
+        PT.log('[PTTracker] Prompt injected (scanDepth=' + s.scanDepth + ').');
+    }
+
+    // -------------------------------------------------------------------------
+    // Continuity validation
+    // -------------------------------------------------------------------------
+
+    function getRuleMode(settings, rule) {
+        var mode = (settings.validation || {})[rule];
+        return VALIDATION_MODES.indexOf(mode) !== -1 ? mode : DEFAULT_VALIDATION[rule];
+    }
+
+    /**
+     * Checks one heart value against the range and per-message delta rules.
+     * Returns the (possibly clamped) value and pushes any issues found.
+     */
+    function validateHeart(settings, label, value, previous, issues) {
+        var rangeMode = getRuleMode(settings, 'heartRange');
+        if (rangeMode !== 'off' && value > HEART_MAX) {
+            issues.push(t(rangeMode === 'clamp' ? 'v_above_clamp' : 'v_above', label, formatNumber(value), formatNumber(HEART_MAX)));
+            if (rangeMode === 'clamp') value = HEART_MAX;
+        }
+
+        var deltaMode = getRuleMode(settings, 'heartDelta');
+        if (deltaMode !== 'off' && typeof previous === 'number' && Math.abs(value - previous) > HEART_MAX_DELTA) {
+            var limited = value > previous ? previous + HEART_MAX_DELTA : Math.max(HEART_MIN, previous - HEART_MAX_DELTA);
+            issues.push(t(deltaMode === 'clamp' ? 'v_jump_clamp' : 'v_jump', label, formatNumber(previous), formatNumber(value),
+                          formatNumber(HEART_MAX_DELTA), formatNumber(limited)));
+            if (deltaMode === 'clamp') value = limited;
+        }
+        return value;
+    }
+
+    /**
+     * Spots an unbelievable weather change between two snapshots less than
+     * WEATHER_WINDOW_MINUTES of in-world time apart — cold turning hot or
+     * the other way round, or a temperature jump beyond
+     * WEATHER_MAX_TEMP_DELTA. Returns the time between them, e.g. "25m",
+     * or null.
+     */
+    function checkWeatherChange(prev, next) {
+        var elapsed = getElapsedMinutes(parseTrackerTime(prev.currentTime), parseTrackerTime(next.currentTime));
+        if (elapsed === null || elapsed < 0 || elapsed > WEATHER_WINDOW_MINUTES) return null;
+
+        var change   = formatElapsed(elapsed).slice(1);
+        var before   = getWeatherClimate(prev.currentWeather);
+        var after    = getWeatherClimate(next.currentWeather);
+        if (before && after && before !== after) return change;
+
+        var fromTemp = parseWeather(prev.currentWeather).temperature;
+        var toTemp   = parseWeather(next.currentWeather).temperature;
+        if (fromTemp && toTemp && Math.abs(toCelsius(toTemp) - toCelsius(fromTemp)) > WEATHER_MAX_TEMP_DELTA) {
+            return change;
+        }
+        return null;
+    }
+
+    /**
+     * Runs the continuity rules on a snapshot about to be committed. Each
+     * rule is 'off', 'warn' (keep the value, record an issue) or 'clamp'
+     * (correct the value and record what was changed). The issues are
+     * stored in the snapshot's currentWarnings, shown in the header and fed
+     * back into the next injected prompt.
+     *
+     * @param {object} snap      merged snapshot for the message
+     * @param {object|null} prev snapshot of the previous AI message
+     * @param {object} tags      tags parsed for the message
+     * @param {string} text      message text, used to spot departures
+     * @returns {object} validated snapshot
+     */
+    function validateSnapshot(snap, prev, tags, text) {
+        var s      = getSettings();
+        var next   = cloneValue(snap);
+        var issues = [];
+
+        next.heartPoints = validateHeart(s, t('v_heart'), next.heartPoints, prev ? prev.heartPoints : null, issues);
+        var names = Object.keys(next.characterHearts || {});
+        for (var i = 0; i < names.length; i++) {
+            var prevPts = prev && prev.characterHearts ? prev.characterHearts[names[i]] : null;
+            next.characterHearts[names[i]] = validateHeart(s, t('v_heart_of', names[i]), next.characterHearts[names[i]], prevPts, issues);
+        }
+
+        var timeMode = getRuleMode(s, 'timeBackwards');
+        if (timeMode !== 'off' && prev && tags.time !== null) {
+            var elapsed = getElapsedMinutes(parseTrackerTime(prev.currentTime), parseTrackerTime(next.currentTime));
+            if (elapsed !== null && elapsed < 0) {
+                issues.push(t(timeMode === 'clamp' ? 'v_time_clamp' : 'v_time',
+                              toDisplayDate(prev.currentTime), toDisplayDate(next.currentTime)));
+                if (timeMode === 'clamp') next.currentTime = prev.currentTime;
+            }
+        }
+
+        var weatherMode = getRuleMode(s, 'weatherConsistency');
+        if (weatherMode !== 'off' && prev && tags.weather !== null && prev.currentWeather) {
+            var within = checkWeatherChange(prev, next);
+            if (within) {
+                issues.push(t(weatherMode === 'clamp' ? 'v_weather_clamp' : 'v_weather', prev.currentWeather, next.currentWeather, within));
+                if (weatherMode === 'clamp') next.currentWeather = prev.currentWeather;
+            }
+        }
+
+        var charMode = getRuleMode(s, 'characterVanished');
+        if (charMode !== 'off' && prev && tags.characters.length > 0) {
+            var lowerText = (text || '').toLowerCase();
+            (prev.currentCharacters || []).forEach(function (c) {
+                var stillHere = next.currentCharacters.some(function (n) {
+                    return n.name.toLowerCase() === c.name.toLowerCase();
+                });
+                if (stillHere || lowerText.indexOf(c.name.toLowerCase()) !== -1) return;
+                issues.push(t(charMode === 'clamp' ? 'v_vanished_clamp' : 'v_vanished', c.name));
+                if (charMode === 'clamp') next.currentCharacters.push(cloneValue(c));
+            });
+        }
+
+        next.currentWarnings = issues;
+        if (issues.length > 0) PT.log('[PTTracker] Continuity issues: ' + issues.join(' '));
+        return next;
+    }
+
+    // -------------------------------------------------------------------------
+    // Message processing
+    // -------------------------------------------------------------------------
+
+    /**
+     * Applies parsed tags on top of a base snapshot. Values absent from the
+     * tags are carried forward from the base.
+     *
+     * @param {{ time, location, weather, heart, hearts, characters, fields }} tags
+     * @param {object} base
+     * @returns {object} new snapshot
+     */
+    function mergeTags(tags, base) {
+        var snap = cloneValue(base);
+        snap.currentWarnings = [];
+        if (tags.time       !== null)   { snap.currentTime       = normalizeTime(tags.time); }
+        if (tags.location   !== null)   { snap.currentLocation   = tags.location; }
+        if (tags.weather    !== null)   { snap.currentWeather    = tags.weather; }
+        if (tags.characters.length > 0) { snap.currentCharacters = tags.characters; }
+        if (tags.heart !== null) {
+            var parsed = parseHeartValue(tags.heart);
+            if (!isNaN(parsed)) snap.heartPoints = Math.max(0, parsed);
+        }
+        // A reason and tier crossings belong to the message they happened in.
+        snap.heartReason = tags.heartReason || '';
+        snap.heartEvents = [];
+
+        snap.characterHearts = snap.characterHearts || {};
+        var heartNames = Object.keys(tags.hearts || {});
+        for (var i = 0; i < heartNames.length; i++) {
+            snap.characterHearts[heartNames[i]] = tags.hearts[heartNames[i]];
+        }
+        if (usePerCharacterHearts(settingsForSnapshot(snap))) {
+            seedCharacterHearts(snap);
+        } else if (tags.heart === null && heartNames.length === 1) {
+            // A single meter takes the one per-character value it was given.
+            snap.heartPoints = Math.max(0, tags.hearts[heartNames[0]]);
+        }
+
+        if (tags.inventory && tags.inventory.length > 0) {
+            snap.currentInventory = applyInventoryChanges(snap.currentInventory, tags.inventory);
+        }
+        if (tags.quests && tags.quests.length > 0) {
+            snap.currentQuests = applyQuestUpdates(snap.currentQuests, tags.quests);
+        }
+
+        snap.currentFields = snap.currentFields || {};
+        var fieldKeys = Object.keys(tags.fields || {});
+        for (var f = 0; f < fieldKeys.length; f++) {
+            snap.currentFields[fieldKeys[f]] = tags.fields[fieldKeys[f]];
+        }
+        return snap;
+    }
+
+    /**
+     * Gives characters who just entered the scene their card's
+     * [heart_default: N] when they have no heart value yet.
+     */
+    function seedCharacterHearts(snap) {
+        var chars = snap.currentCharacters || [];
+        for (var i = 0; i < chars.length; i++) {
+            var name = chars[i].name;
+            if (snap.characterHearts[name] !== undefined) continue;
+            var charDefault = getCharacterHeartDefault(findCharacterCard(name));
+            if (charDefault > 0) snap.characterHearts[name] = charDefault;
+        }
+    }
+
+    /**
+     * Builds the validated snapshot for an AI message from its parsed tags,
+     * carrying forward the previous AI message's snapshot (or the chat's
+     * current state when there is none). prev can be passed explicitly to
+     * override the stored previous snapshot.
+     */
+    function buildMessageSnapshot(tags, messageIndex, messageText, prev) {
+        if (prev === undefined) prev = getPreviousSnapshot(messageIndex);
+        var base = prev || snapshotFromSettings(getSettings());
+        var snap = mergeTags(tags, base);
+        if (tags.location !== null) {
+            // A return to a visited place keeps the name it was stored under.
+            snap.currentLocation = findKnownPlace(snap.currentLocation, getKnownPlaces()) || snap.currentLocation;
+        }
+        snap = updateRoster(validateSnapshot(snap, prev, tags, messageText), messageIndex, base);
+        return detectHeartEvents(snap, prev);
+    }
+
+    /**
+     * Returns the settings object with the snapshot's values layered on top,
+     * for use with buildMainText / buildCollapsibleText.
+     */
+    function settingsForSnapshot(snap) {
+        var s    = getSettings();
+        var view = {};
+        var keys = Object.keys(s);
+        for (var i = 0; i < keys.length; i++) view[keys[i]] = s[keys[i]];
+        applySnapshot(view, snap);
+        return view;
+    }
+
+    function renderSnapshotHeader(messageIndex, snap) {
+        var view = settingsForSnapshot(snap);
+        // Lets the header show what changed since the previous AI message.
+        view.previousSnapshot = getPreviousSnapshot(messageIndex);
+        PT.setMessageHeader(
+            messageIndex,
+            buildMainText(emptyTags(), view),
+            EXT_ID,
+            buildCollapsibleText(emptyTags(), view)
+        );
+    }
+
+    /**
+     * Text of a message anywhere in the chat, or '' when it is not loaded.
+     */
+    function findMessageText(messageIndex) {
+        var msgs = getChatMessages();
+        for (var i = msgs.length - 1; i >= 0; i--) {
+            if (msgs[i].index === messageIndex) return msgs[i].text || '';
+        }
+        return '';
+    }
+
+    /**
+     * True when no AI message later than messageIndex is known, i.e. the
+     * message's snapshot is the chat's current state.
+     */
+    function isLatestAiMessage(messageIndex) {
+        var ctx = PT.getContext();
+        if (!ctx || !ctx.recentMessages) return true;
+        var msgs = ctx.recentMessages;
+        for (var i = msgs.length - 1; i >= 0; i--) {
+            if (!msgs[i].isUser) return msgs[i].index <= messageIndex;
+        }
+        return true;
+    }
+
+    /**
+     * Stores a message snapshot and re-renders its header. When the message is
+     * the most recent AI message the snapshot also becomes the chat's current
+     * state, the prompt is re-injected and API listeners are told what changed.
+     *
+     * @param {number} messageIndex
+     * @param {object} snap
+     * @param {string} source  what produced the snapshot: 'ai', 'auto',
+     *                         'regenerate', 'rebuild', 'edit', 'command', 'api',
+     *                         'restore', 'undo' or 'redo'
+     */
+    function commitSnapshot(messageIndex, snap, source) {
+        var s = getSettings();
+        setMessageSnapshot(messageIndex, snap, source);
+        renderSnapshotHeader(messageIndex, snap);
+
+        if (isLatestAiMessage(messageIndex)) {
+            var before = snapshotFromSettings(s);
+            // Commands typed since the message stay on top until the next reply.
+            applySnapshot(s, layerCommands(snap, messageIndex, Infinity));
+            getChatStore().state = snapshotFromSettings(s);
+            saveChatStore();
+            injectPrompt();
+            emitStateChange(before, source, messageIndex);
+        } else {
+            saveChatStore();
+        }
+    }
+
+    /**
+     * Re-renders headers for every loaded AI message from its stored
+     * snapshot and clears the headers of messages that have none. User
+     * messages get their command confirmation back.
+     */
+    function renderStoredHeaders() {
+        var ctx = PT.getContext();
+        if (!ctx || !ctx.recentMessages) return;
+        var msgs = ctx.recentMessages;
+        for (var i = 0; i < msgs.length; i++) {
+            if (msgs[i].isUser) {
+                renderCommandHeader(msgs[i].index, msgs[i].text);
+                continue;
+            }
+            var snap = getMessageSnapshot(msgs[i].index);
+            if (snap) renderSnapshotHeader(msgs[i].index, snap);
+            else      PT.clearMessageHeader(msgs[i].index);
+        }
+    }
+
+    /**
+     * Applies Edit-dialog style values to a message's snapshot and commits
+     * it. base is the snapshot the values are applied on top of.
+     *
+     * @returns {object} the committed snapshot
+     */
+    function commitManualEdit(messageIndex, base, result, source) {
+        var snap = updateRoster(applyEditResult(base, result), messageIndex, base);
+        detectHeartEvents(snap, getPreviousSnapshot(messageIndex));
+        commitSnapshot(messageIndex, snap, source);
+        return snap;
+    }
+
+    /**
+     * Commits a hand edit of a message's quest log and carries it forward to
+     * every later message, so the chat-wide log keeps it.
+     */
+    function commitQuestEdit(messageIndex, base, quests) {
+        var before = base.currentQuests || [];
+        var snap   = cloneValue(base);
+        snap.currentQuests = quests;
+        commitSnapshot(messageIndex, snap, 'edit');
+
+        var messages = getChatStore().messages;
+        Object.keys(messages).map(Number).filter(function (idx) { return idx > messageIndex; })
+            .sort(function (a, b) { return a - b; })
+            .forEach(function (idx) {
+                var later   = cloneValue(messages[idx]);
+                var rebased = rebaseQuestEdit(later.currentQuests, before, quests);
+                if (JSON.stringify(rebased) === JSON.stringify(later.currentQuests || [])) return;
+                later.currentQuests = rebased;
+                commitSnapshot(idx, later, 'edit');
+            });
+    }
+
+    /**
+     * Index of the chat's latest AI message, or null when there is none.
+     */
+    function getLatestAiIndex() {
+        var latest = null;
+        getChatMessages().forEach(function (m) {
+            if (!m.isUser && (latest === null || m.index > latest)) latest = m.index;
+        });
+        return latest;
+    }
+
+    /**
+     * The snapshot behind the chat's current state: the latest AI message's
+     * with the commands typed since on top, or the chat's state before its
+     * first AI message.
+     */
+    function getCurrentSnapshot() {
+        var latest = getLatestAiIndex();
+        if (latest === null) return snapshotFromSettings(getSettings());
+        var snap = getMessageSnapshot(latest) || getPreviousSnapshot(latest) || snapshotFromSettings(getSettings());
+        return layerCommands(snap, latest, Infinity);
+    }
+
+    /**
+     * Applies Edit-dialog style values to the chat's current state, as an
+     * edit of the latest AI message.
+     */
+    function commitCurrentEdit(result, source) {
+        var s      = getSettings();
+        var latest = getLatestAiIndex();
+        if (latest !== null) {
+            var base = getMessageSnapshot(latest) || getPreviousSnapshot(latest) || snapshotFromSettings(s);
+            commitManualEdit(latest, base, result, source);
+            return;
+        }
+        // No AI message yet: the values become the chat's starting state.
+        var before = snapshotFromSettings(s);
+        applySnapshot(s, applyEditResult(before, result));
+        getChatStore().state = snapshotFromSettings(s);
+        saveChatStore();
+        injectPrompt();
+        emitStateChange(before, source, null);
+    }
+
+    /**
+     * Makes the latest surviving AI message's snapshot, with the commands of
+     * the surviving user messages after it, the chat's current state and
+     * re-injects the prompt. A latest message without a snapshot is
+     * re-parsed; if it has no tags either, the closest earlier snapshot (or
+     * the chat's defaults) is used.
+     */
+    function rollbackToLatestSnapshot() {
+        var s      = getSettings();
+        var aiMsgs = getChatMessages().filter(function (m) { return !m.isUser; });
+        var latest = null;
+        for (var i = 0; i < aiMsgs.length; i++) {
+            if (!latest || aiMsgs[i].index > latest.index) latest = aiMsgs[i];
+        }
+
+        var snap = null;
+        if (latest) {
+            snap = getMessageSnapshot(latest.index);
+            if (!snap) {
+                var prev = getPreviousSnapshot(latest.index);
+                var tags = parseTags(latest.text || '');
+                if (hasTags(tags)) {
+                    snap = buildMessageSnapshot(tags, latest.index, latest.text, prev || defaultSnapshot());
+                    setMessageSnapshot(latest.index, snap, 'ai');
+                    renderSnapshotHeader(latest.index, snap);
+                } else {
+                    snap = prev;
+                }
+            }
+        }
+
+        snap = layerCommands(snap || defaultSnapshot(), latest ? latest.index : -1, Infinity);
+
+        var before = snapshotFromSettings(s);
+        applySnapshot(s, snap);
+        getChatStore().state = snapshotFromSettings(s);
+        saveChatStore();
+        injectPrompt();
+        emitStateChange(before, 'rollback', latest ? latest.index : null);
+        PT.log('[PTTracker] Current state rolled back to ' +
+               (latest ? 'message #' + latest.index : 'the chat defaults') + '.');
+    }
+
+    function scanRecentMessages() {
+        var ctx = PT.getContext();
+        if (!ctx || !ctx.recentMessages) return;
+        var msgs = ctx.recentMessages;
+
+        var aiMsgs = [];
+        for (var i = msgs.length - 1; i >= 0 && aiMsgs.length < 2; i--) {
+            if (!msgs[i].isUser) aiMsgs.unshift(msgs[i]);
+        }
+        if (aiMsgs.length === 0) return;
+
+        var s          = getSettings();
+        var anyUpdated = false;
+
+        for (var j = 0; j < aiMsgs.length; j++) {
+            // Messages with a stored snapshot were already rendered from the store.
+            if (getMessageSnapshot(aiMsgs[j].index)) continue;
+
+            var tags = parseTags(aiMsgs[j].text);
+            if (!hasTags(tags)) continue;
+
+            anyUpdated = true;
+            var snap = buildMessageSnapshot(tags, aiMsgs[j].index, aiMsgs[j].text);
+            setMessageSnapshot(aiMsgs[j].index, snap, 'ai');
+            renderSnapshotHeader(aiMsgs[j].index, snap);
+        }
+
+        var latest = getMessageSnapshot(aiMsgs[aiMsgs.length - 1].index);
+        if (latest) {
+            applySnapshot(s, latest);
+            getChatStore().state = snapshotFromSettings(s);
+        }
+
+        if (anyUpdated) saveChatStore();
+    }
+
+    /**
+     * Builds the OOC prompt asking the model to extract tracker tags from a
+     * message, given the previous message's tracker state.
+     */
+    function buildExtractionPrompt(messageText, prevHeaderText) {
+        var s      = getSettings();
+        var values = buildPromptValues(s);
+        values.message        = messageText;
+        values.previous_state = prevHeaderText || t('x_none');
+        return renderTemplate(getExtractionTemplate(s), values);
+    }
+
+    // -------------------------------------------------------------------------
+    // Hidden-generation queue
+    // -------------------------------------------------------------------------
+
+    // Inference jobs: { chatKey, messageIndex, messageText, attempts, cancelled, promise, resolve }
+    var _inferenceQueue = [];
+    var _activeInference = null;
+
+    // Hidden generations in flight; GENERATION_STARTED meanwhile is ours.
+    var _hiddenGenerations = 0;
+
+    /**
+     * Asks the model, through a hidden generation, to infer tracker tags for
+     * a message. Requests go through a shared queue that runs one hidden
+     * generation at a time and retries up to settings.inferenceRetries times
+     * when a response has no valid tags. A request for a message that is
+     * already queued or running with the same text joins that job. Resolves
+     * with the parsed tags, or null when no valid tags were produced, the
+     * job was cancelled or the chat changed meanwhile.
+     *
+     * @returns {Promise<object|null>}
+     */
+    function inferTrackerTags(messageIndex, messageText) {
+        var jobs = _activeInference ? [_activeInference].concat(_inferenceQueue) : _inferenceQueue;
+        for (var i = 0; i < jobs.length; i++) {
+            var existing = jobs[i];
+            if (existing.cancelled || existing.chatKey !== _chatKey || existing.messageIndex !== messageIndex) continue;
+            if (existing.messageText === messageText) return existing.promise;
+            // The message was edited since it was queued; the old result would be stale.
+            cancelInference(messageIndex);
+            break;
+        }
+
+        var job = {
+            chatKey: _chatKey, messageIndex: messageIndex, messageText: messageText,
+            attempts: 0, cancelled: false,
+        };
+        job.promise = new Promise(function (resolve) { job.resolve = resolve; });
+        _inferenceQueue.push(job);
+        runNextInference();
+        return job.promise;
+    }
+
+    function runNextInference() {
+        if (_activeInference) return;
+        var job = _inferenceQueue.shift();
+        if (!job) return;
+        _activeInference = job;
+        runInferenceAttempt(job);
+    }
+
+    function runInferenceAttempt(job) {
+        job.attempts++;
+        _hiddenGenerations++;
+        // A throw while building the prompt or starting the generation
+        // rejects like a failed generation, so the queue moves on.
+        new Promise(function (resolve) {
+            // Built per attempt so a retry sees snapshots committed in the meantime.
+            var prompt = buildExtractionPrompt(job.messageText, getPreviousTrackerHeader(job.messageIndex));
+            resolve(PT.generateHidden(prompt));
+        }).then(function (response) {
+            _hiddenGenerations--;
+            return response ? parseTags(response) : null;
+        }, function (err) {
+            _hiddenGenerations--;
+            PT.log('[PTTracker] Hidden generation failed for message #' + job.messageIndex + ': ' + err);
+            return null;
+        }).then(function (tags) {
+            if (job.cancelled || job.chatKey !== _chatKey) {
+                PT.log('[PTTracker] Discarding inferred tracker for message #' + job.messageIndex + ' — job cancelled or chat changed.');
+                finishInference(job, null);
+                return;
+            }
+            if (tags && hasTags(tags)) {
+                finishInference(job, tags);
+                return;
+            }
+            var retries = Math.max(0, parseInt(getSettings().inferenceRetries, 10) || 0);
+            if (job.attempts <= retries) {
+                PT.log('[PTTracker] No valid tags for message #' + job.messageIndex + ' — retrying (' + job.attempts + '/' + retries + ').');
+                runInferenceAttempt(job);
+                return;
+            }
+            finishInference(job, null);
+        });
+    }
+
+    function finishInference(job, tags) {
+        if (_activeInference === job) _activeInference = null;
+        job.resolve(tags);
+        // Let the job's callers commit their snapshot before the next job
+        // builds its prompt from the previous message's state.
+        Promise.resolve().then(runNextInference);
+    }
+
+    /**
+     * Cancels inference jobs. Queued jobs resolve with null straight away; a
+     * running job's response is discarded when it arrives. With a message
+     * index only that message's jobs are cancelled, with null every job of
+     * the current chat, and without an argument every job that does not
+     * belong to the current chat.
+     */
+    function cancelInference(messageIndex) {
+        function matches(job) {
+            if (messageIndex === undefined) return job.chatKey !== _chatKey;
+            return job.chatKey === _chatKey && (messageIndex === null || job.messageIndex === messageIndex);
+        }
+        if (_activeInference && matches(_activeInference)) _activeInference.cancelled = true;
+        _inferenceQueue = _inferenceQueue.filter(function (job) {
+            if (!matches(job)) return true;
+            job.cancelled = true;
+            job.resolve(null);
+            return false;
+        });
+    }
+
+    function autoGenerateTracker(messageIndex) {
+        // Get the actual message text to analyze
+        var messageText = findMessageText(messageIndex);
+        if (!messageText) return;
+
+        inferTrackerTags(messageIndex, messageText).then(function (tags) {
+            if (!tags) {
+                PT.log('[PTTracker] Auto-generate returned no valid tags for message #' + messageIndex + '.');
+                clearProvisionalHeader(messageIndex);
+                return;
+            }
+
+            commitSnapshot(messageIndex, buildMessageSnapshot(tags, messageIndex, messageText), 'auto');
+            PT.log('[PTTracker] Auto-generated tracker for message #' + messageIndex + '.');
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Generation progress
+    // -------------------------------------------------------------------------
+    //
+    // While a reply is generated its message shows a provisional header with
+    // the previous state. A stopped reply is handled by the
+    // settings.stoppedGeneration policy instead of the normal processing:
+    //     keep  — the previous state is kept as it is
+    //     parse — complete tags are applied, and characters missing from a
+    //             cut-off reply stay in the scene
+    //     infer — the tracker is inferred from the partial text
+
+    // Generation in progress: { index, guessed }
+    var _generation = null;
+
+    // Messages of stopped generations: index → fingerprint of the text
+    // already handled, or true while it has not arrived yet.
+    var _stopped = {};
+
+    /**
+     * Index the reply being generated will have: the one given by the host.
+     * Without one, a generation that follows an AI message is taken as a
+     * regenerate, swipe or continue of that message, except in group chats
+     * where another member usually replies; otherwise it is the one after
+     * the last message.
+     */
+    function getGenerationIndex(data) {
+        if (data && typeof data.messageIndex === 'number') return data.messageIndex;
+        if (data && typeof data.index === 'number')        return data.index;
+        var last = null;
+        getChatMessages().forEach(function (m) { if (!last || m.index > last.index) last = m; });
+        if (!last) return 0;
+        return !last.isUser && !isGroupChat() ? last.index : last.index + 1;
+    }
+
+    function hasHostGenerationIndex(data) {
+        return !!data && (typeof data.messageIndex === 'number' || typeof data.index === 'number');
+    }
+
+    function showProvisionalHeader(messageIndex) {
+        var view = settingsForSnapshot(getPreviousSnapshot(messageIndex) || snapshotFromSettings(getSettings()));
+        PT.setMessageHeader(
+            messageIndex,
+            '\u23F3 ' + t('updating') + '\n' + buildMainText(emptyTags(), view),
+            EXT_ID,
+            buildCollapsibleText(emptyTags(), view)
+        );
+    }
+
+    /**
+     * Puts back what a message showed before its provisional header: its
+     * stored snapshot, or nothing.
+     */
+    function clearProvisionalHeader(messageIndex) {
+        var snap = getMessageSnapshot(messageIndex);
+        if (snap) renderSnapshotHeader(messageIndex, snap);
+        else      PT.clearMessageHeader(messageIndex);
+    }
+
+    /**
+     * Tags of a cut-off reply: only complete tags count, and characters the
+     * reply did not get to are carried over from the previous state.
+     */
+    function partialTags(text, base) {
+        var tags = parseTags(text);
+        if (tags.characters.length > 0) {
+            var listed = tags.characters.slice();
+            (base.currentCharacters || []).forEach(function (c) {
+                if (!findCharacter(listed, c.name)) tags.characters.push(cloneValue(c));
+            });
+        }
+        return tags;
+    }
+
+    /**
+     * Commits the snapshot of a stopped reply by the stoppedGeneration
+     * policy. The previous state is kept whenever nothing usable is found.
+     */
+    function processStoppedMessage(text, messageIndex) {
+        var s   = getSettings();
+        var key = fingerprintText(text);
+        if (!s.enabled || _stopped[messageIndex] === key) return;
+        _stopped[messageIndex] = key;
+
+        var policy = STOPPED_POLICIES.indexOf(s.stoppedGeneration) !== -1 ? s.stoppedGeneration : 'parse';
+        var chat   = _chatKey;
+
+        // Empty tags carry every value of the previous snapshot forward.
+        function commit(tags) {
+            var usable = tags && hasTags(tags);
+            commitSnapshot(messageIndex, buildMessageSnapshot(usable ? tags : emptyTags(), messageIndex, text), 'stopped');
+            PT.log('[PTTracker] Stopped message #' + messageIndex + ': ' +
+                (usable ? 'tracker updated.' : 'previous state kept.'));
+        }
+
+        PT.log('[PTTracker] Generation of message #' + messageIndex + ' was stopped — policy "' + policy + '".');
+        if (policy === 'infer') {
+            showProvisionalHeader(messageIndex);
+            inferTrackerTags(messageIndex, text).then(function (tags) {
+                // The chat changed or the message was finished by an edit meanwhile.
+                if (chat !== _chatKey || _stopped[messageIndex] !== key) return;
+                commit(tags);
+            });
+            return;
+        }
+        var base = getPreviousSnapshot(messageIndex) || snapshotFromSettings(s);
+        commit(policy === 'parse' ? partialTags(text, base) : null);
+    }
+
+    // -------------------------------------------------------------------------
+    // Chat rebuild
+    // -------------------------------------------------------------------------
+
+    // Running chat rebuild: { chatKey, cancelled, total, done, parsed, inferred, failed, pendingIndex }
+    var _rebuild = null;
+
+    /**
+     * All messages of the active chat as { index, text, isUser }. Uses the
+     * full chat when the host exposes it and falls back to recentMessages.
+     */
+    function getChatMessages() {
+        var ctx = PT.getContext();
+        if (!ctx) return [];
+        if (Array.isArray(ctx.chat)) {
+            return ctx.chat.map(function (m, i) {
+                return {
+                    index:  m.index !== undefined ? m.index : i,
+                    text:   m.text  !== undefined ? m.text  : (m.mes || ''),
+                    isUser: !!(m.isUser || m.is_user),
+                };
+            });
+        }
+        return ctx.recentMessages || [];
+    }
+
+    /**
+     * Rebuilds the tracker of every AI message in the chat, in order. Tags
+     * already in a message are parsed; messages without tags are inferred
+     * one at a time through a hidden prompt. Each message starts from the
+     * previous message's snapshot. Progress is shown in the header of the
+     * message being inferred, and the rebuild can be cancelled from the
+     * long-press menu. A summary is shown when it ends.
+     */
+    function rebuildChatTracker() {
+        if (_rebuild) return;
+        var aiMsgs = getChatMessages().filter(function (m) { return !m.isUser; })
+            .sort(function (a, b) { return a.index - b.index; });
+        if (aiMsgs.length === 0) return;
+
+        var job = {
+            chatKey: _chatKey, cancelled: false, total: aiMsgs.length, done: 0,
+            parsed: 0, inferred: 0, failed: 0, pendingIndex: null,
+        };
+        var prev      = defaultSnapshot();
+        var prevIndex = -1;
+        _rebuild = job;
+        PT.log('[PTTracker] Rebuilding tracker for ' + job.total + ' AI messages.');
+
+        function stopped() {
+            return job.cancelled || job.chatKey !== _chatKey;
+        }
+
+        function commit(msg, tags) {
+            // Commands typed before the message carry into it as they did.
+            var base = layerCommands(prev, prevIndex, msg.index);
+            var snap = tags
+                ? buildMessageSnapshot(tags, msg.index, msg.text, base)
+                : cloneValue(base);
+            if (!tags) snap.currentWarnings = [];
+            commitSnapshot(msg.index, snap, 'rebuild');
+            prev      = snap;
+            prevIndex = msg.index;
+            job.done++;
+        }
+
+        function step(i) {
+            // Messages that carry their own tags are handled synchronously.
+            while (i < aiMsgs.length && !stopped()) {
+                var tags = parseTags(aiMsgs[i].text);
+                if (!hasTags(tags)) break;
+                commit(aiMsgs[i], tags);
+                job.parsed++;
+                i++;
+            }
+            if (i >= aiMsgs.length || stopped()) {
+                finishRebuild(job);
+                return;
+            }
+
+            var msg = aiMsgs[i];
+            job.pendingIndex = msg.index;
+            PT.setMessageHeader(
+                msg.index,
+                '\u23F3 ' + t('rebuild_progress', i + 1, job.total),
+                EXT_ID,
+                ''
+            );
+
+            inferTrackerTags(msg.index, msg.text).then(function (inferred) {
+                job.pendingIndex = null;
+                if (stopped()) {
+                    if (job.chatKey === _chatKey) restoreHeader(msg.index);
+                    finishRebuild(job);
+                    return;
+                }
+                commit(msg, inferred);
+                if (inferred) job.inferred++;
+                else          job.failed++;
+                step(i + 1);
+            });
+        }
+
+        step(0);
+    }
+
+    /**
+     * Re-renders a message's stored snapshot, or clears its header if none.
+     */
+    function restoreHeader(messageIndex) {
+        var snap = getMessageSnapshot(messageIndex);
+        if (snap) renderSnapshotHeader(messageIndex, snap);
+        else PT.clearMessageHeader(messageIndex);
+    }
+
+    function finishRebuild(job) {
+        if (_rebuild === job) _rebuild = null;
+        PT.log('[PTTracker] Chat rebuild finished. Parsed: ' + job.parsed + ', inferred: ' + job.inferred +
+               ', failed: ' + job.failed + ', ' + job.done + ' of ' + job.total + ' messages.');
+        if (job.chatKey !== _chatKey) return;
+        var summary = t('rebuild_summary', job.parsed, job.inferred, job.failed);
+        if (job.done < job.total) summary += '\n' + t('rebuild_stopped', job.done, job.total);
+        PT.showEditDialog(t('title_rebuild'), [
+            { key: 'summary', label: t('rebuild_done', job.done, job.total), value: summary },
+        ]);
+    }
+
+    // -------------------------------------------------------------------------
+    // Snapshot history
+    // -------------------------------------------------------------------------
+    //
+    // Every stored version of a message's snapshot is kept with its source
+    // and time. position points at the version currently in use; undo and
+    // redo move it, while any new version drops the versions after it.
+    //
+    // Only the oldest version is a full snapshot (base); every later one holds
+    // the top-level snapshot keys it changed, so a version costs about as much
+    // as its edit rather than a whole copy.
+    //
+    // Histories live in the chat's store (store.history), so they are saved
+    // in the chat's metadata and go with the chat; see getChatStore().
+
+    // Versions kept per message; the oldest are dropped first.
+    var HISTORY_LIMIT = 20;
+    // Messages per chat that keep a history; the earliest messages lose theirs first.
+    var HISTORY_MESSAGE_LIMIT = 50;
+
+    /**
+     * Top-level keys of snap that differ from previous, as
+     * { changes: { key: value } } plus removed: [key] when keys went away.
+     */
+    function diffSnapshots(previous, snap) {
+        var diff    = { changes: {} };
+        var removed = Object.keys(previous).filter(function (key) { return !(key in snap); });
+        Object.keys(snap).forEach(function (key) {
+            if (JSON.stringify(previous[key]) !== JSON.stringify(snap[key])) diff.changes[key] = cloneValue(snap[key]);
+        });
+        if (removed.length > 0) diff.removed = removed;
+        return diff;
+    }
+
+    function applySnapshotDiff(snap, version) {
+        var result = cloneValue(snap);
+        Object.keys(version.changes || {}).forEach(function (key) { result[key] = cloneValue(version.changes[key]); });
+        (version.removed || []).forEach(function (key) { delete result[key]; });
+        return result;
+    }
+
+    /**
+     * The full snapshot of every version of a history, oldest first.
+     */
+    function listSnapshotVersions(history) {
+        var snaps = [];
+        history.versions.forEach(function (version, i) {
+            snaps.push(i === 0 ? cloneValue(history.base) : applySnapshotDiff(snaps[i - 1], version));
+        });
+        return snaps;
+    }
+
+    function getSnapshotVersion(history, i) {
+        return listSnapshotVersions(history)[i];
+    }
+
+    /**
+     * Converts a history saved with a full snapshot in every version to
+     * the base-and-changes form.
+     */
+    function migrateSnapshotHistory(history) {
+        if (history.base !== undefined || !history.versions[0] || !history.versions[0].snapshot) return history;
+        var snaps = history.versions.map(function (version) { return version.snapshot; });
+        history.base     = snaps[0];
+        history.versions = history.versions.map(function (version, i) {
+            var entry = i === 0 ? {} : diffSnapshots(snaps[i - 1], snaps[i]);
+            entry.source = version.source;
+            entry.time   = version.time;
+            return entry;
+        });
+        return history;
+    }
+
+    function recordSnapshotVersion(messageIndex, snap, source) {
+        var store   = getChatStore();
+        var history = store.history[messageIndex] ? migrateSnapshotHistory(store.history[messageIndex])
+                    : { base: null, versions: [], position: -1 };
+        var snaps   = listSnapshotVersions(history);
+        var current = snaps[history.position];
+        // Re-storing the same values, e.g. on a re-scan, is not a new version.
+        if (current && JSON.stringify(current) === JSON.stringify(snap)) return;
+
+        var entry = current ? diffSnapshots(current, snap) : {};
+        entry.source = source || 'ai';
+        entry.time   = Date.now();
+        if (!current) history.base = cloneValue(snap);
+        history.versions = history.versions.slice(0, history.position + 1);
+        history.versions.push(entry);
+        if (history.versions.length > HISTORY_LIMIT) {
+            history.base = snaps[1];
+            history.versions.shift();
+            delete history.versions[0].changes;
+            delete history.versions[0].removed;
+        }
+        history.position = history.versions.length - 1;
+        store.history[messageIndex] = history;
+        pruneSnapshotHistories(store);
+    }
+
+    function pruneSnapshotHistories(store) {
+        var indexes = Object.keys(store.history).map(Number).sort(function (a, b) { return a - b; });
+        indexes.slice(0, Math.max(0, indexes.length - HISTORY_MESSAGE_LIMIT)).forEach(function (idx) {
+            delete store.history[idx];
+        });
+    }
+
+    function getSnapshotHistory(messageIndex) {
+        var history = getChatStore().history[messageIndex];
+        return history && history.versions.length > 0 ? migrateSnapshotHistory(history) : null;
+    }
+
+    function canUndo(messageIndex) {
+        var history = getSnapshotHistory(messageIndex);
+        return !!history && history.position > 0;
+    }
+
+    function canRedo(messageIndex) {
+        var history = getSnapshotHistory(messageIndex);
+        return !!history && history.position < history.versions.length - 1;
+    }
+
+    /**
+     * Moves a message's snapshot one version back (step -1) or forward
+     * (step 1) and commits it.
+     *
+     * @returns {boolean} whether there was a version to move to
+     */
+    function stepSnapshotHistory(messageIndex, step) {
+        var history = getSnapshotHistory(messageIndex);
+        if (!history || !history.versions[history.position + step]) return false;
+        history.position += step;
+        commitSnapshot(messageIndex, getSnapshotVersion(history, history.position), step < 0 ? 'undo' : 'redo');
+        PT.log('[PTTracker] ' + (step < 0 ? 'Undo' : 'Redo') + ' for message #' + messageIndex +
+               ' (version ' + (history.position + 1) + ' of ' + history.versions.length + ').');
+        return true;
+    }
+
+    function formatTimestamp(time) {
+        var date = new Date(time);
+        return date.getFullYear() + '-' + pad2(date.getMonth() + 1) + '-' + pad2(date.getDate()) + ' ' +
+               pad2(date.getHours()) + ':' + pad2(date.getMinutes());
+    }
+
+    /**
+     * Lines of what a version changed compared with the one before it,
+     * e.g. "Heart Meter: 3000 → 5000", as the Edit dialog would show them.
+     */
+    function describeVersionChanges(snap, previous) {
+        var fields  = getFields(settingsForSnapshot(snap));
+        var changes = diffStates(exportState(previous), exportState(snap));
+        var lines   = [];
+        Object.keys(changes).forEach(function (key) {
+            var field = findField(fields, key);
+            var label = field ? fieldText(field, 'label') : key === 'hearts' ? fieldText(findField(DEFAULT_FIELDS, 'heart'), 'label')
+                      : key === 'heartReason' ? t('edit_heart_reason') : null;
+            // The roster and warnings follow from the other fields.
+            if (!label) return;
+            var value = function (v) { return key === 'hearts' ? heartsToString(v) : toEditValue(field, v); };
+            lines.push(label + ': ' + formatChange(value(changes[key].from), value(changes[key].to) || '\u2014'));
+        });
+        return lines.length > 0 ? lines.join('\n') : t('versions_same');
+    }
+
+    /**
+     * Opens the version history of a message's snapshot. Every version is
+     * listed with its source, time and changes; entering a version number
+     * restores it as a new version, so the restore can be undone as well.
+     */
+    function openSnapshotHistory(messageIndex) {
+        var history = getSnapshotHistory(messageIndex);
+        if (!history) return;
+        var chat    = _chatKey;
+        var sources = t('sources');
+        var snaps   = listSnapshotVersions(history);
+        var fields  = history.versions.map(function (version, i) {
+            var label = '#' + (i + 1) + ' \u00B7 ' + (sources[version.source] || version.source) + ' \u00B7 ' + formatTimestamp(version.time);
+            return {
+                key:   'version_' + i,
+                label: i === history.position ? t('versions_current', label) : label,
+                value: i === 0 ? t('versions_initial') : describeVersionChanges(snaps[i], snaps[i - 1]),
+            };
+        }).reverse();
+        fields.push({ key: 'restore', label: t('versions_restore'), value: '' });
+
+        PT.showEditDialog(t('title_versions', messageIndex), fields).then(function (result) {
+            if (!result || chat !== _chatKey) return;
+            var number  = parseInt(String(result.restore || '').trim(), 10);
+            var current = getSnapshotHistory(messageIndex);
+            if (!current || isNaN(number) || !current.versions[number - 1] || number - 1 === current.position) return;
+            commitSnapshot(messageIndex, getSnapshotVersion(current, number - 1), 'restore');
+            PT.log('[PTTracker] Restored version ' + number + ' of message #' + messageIndex + '.');
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Heart history
+    // -------------------------------------------------------------------------
+
+    // Lower bound of each heart tier, matching getHeartEmoji() and t('tiers').
+    var HEART_TIER_MINS = [0, 5000, 20000, 30000, 40000, 50000, 60000];
+
+    var SPARKLINE_BLOCKS = ['\u2581', '\u2582', '\u2583', '\u2584', '\u2585', '\u2586', '\u2587', '\u2588'];
+
+    // Sparkline width: one block per AI message, the latest ones win.
+    var HEART_HISTORY_WIDTH = 40;
+
+    function getHeartTier(points) {
+        var tier = 0;
+        for (var i = 0; i < HEART_TIER_MINS.length; i++) {
+            if (points >= HEART_TIER_MINS[i]) tier = i;
+        }
+        return tier;
+    }
+
+    /**
+     * Heart meters of a snapshot keyed by character name, or by '' for the
+     * single meter.
+     */
+    function snapshotHeartMeters(snap) {
+        if (usePerCharacterHearts(settingsForSnapshot(snap))) return cloneValue(snap.characterHearts || {});
+        return { '': snap.heartPoints };
+    }
+
+    /**
+     * Walks the active chat's message snapshots in order and collects the
+     * value of every heart meter per message and every change with its
+     * message index, delta, reason and tier crossing.
+     *
+     * @returns {{ series: object, changes: Array<{ index, name, from, to, reason }> }}
+     */
+    function buildHeartHistory() {
+        var store   = getChatStore();
+        var series  = {};
+        var changes = [];
+        var indexes = Object.keys(store.messages).map(Number).sort(function (a, b) { return a - b; });
+
+        indexes.forEach(function (idx) {
+            var snap   = store.messages[idx];
+            var meters = snapshotHeartMeters(snap);
+            var noted  = false;
+            Object.keys(meters).forEach(function (name) {
+                var values = series[name] = series[name] || [];
+                var from   = values.length > 0 ? values[values.length - 1] : null;
+                var to     = meters[name];
+                values.push(to);
+                if (from === null || from === to) return;
+                changes.push({ index: idx, name: name, from: from, to: to, reason: snap.heartReason || '' });
+                noted = true;
+            });
+            if (!noted && snap.heartReason) {
+                changes.push({ index: idx, name: '', from: null, to: null, reason: snap.heartReason });
+            }
+        });
+        return { series: series, changes: changes };
+    }
+
+    /**
+     * Text sparkline of the latest values, scaled between their minimum
+     * and maximum.
+     */
+    function buildSparkline(values) {
+        var shown = values.slice(-HEART_HISTORY_WIDTH);
+        var min   = Math.min.apply(null, shown);
+        var max   = Math.max.apply(null, shown);
+        var top   = SPARKLINE_BLOCKS.length - 1;
+        return shown.map(function (v) {
+            return SPARKLINE_BLOCKS[max === min ? 0 : Math.round((v - min) / (max - min) * top)];
+        }).join('');
+    }
+
+    /**
+     * Lines of one heart change: "#5 Alice: 20,000 → 22,000 (▲2,000) — reason",
+     * followed by the tier crossed, if any.
+     */
+    function describeHeartChange(change) {
+        var line = '#' + change.index + (change.name ? ' ' + change.name : '') + ':';
+        if (change.from !== null) {
+            line += ' ' + formatNumber(change.from) + ' \u2192 ' + formatNumber(change.to) +
+                    ' (' + formatDelta(change.to, change.from).trim() + ')';
+        }
+        if (change.reason) line += (change.from !== null ? ' \u2014 ' : ' ') + change.reason;
+
+        var lines = [line];
+        if (change.from !== null && getHeartTier(change.from) !== getHeartTier(change.to)) {
+            lines.push('   ' + getHeartEmoji(change.from) + ' \u2192 ' + getHeartEmoji(change.to) + ' ' +
+                       t('tiers')[getHeartTier(change.to)]);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Opens the heart history of the active chat: a sparkline per meter
+     * and the list of changes.
+     */
+    function openHeartHistory() {
+        var history = buildHeartHistory();
+        var fields  = Object.keys(history.series).map(function (name, i) {
+            var values = history.series[name];
+            return {
+                key:   'chart_' + i,
+                label: (name ? name + ' \u2014 ' : '') +
+                       t('history_range', formatNumber(Math.min.apply(null, values)), formatNumber(Math.max.apply(null, values))),
+                value: buildSparkline(values),
+            };
+        });
+        fields.push({
+            key:   'changes',
+            label: t('history_changes'),
+            value: history.changes.length > 0 ? history.changes.map(describeHeartChange).join('\n') : t('history_none'),
+        });
+        PT.showEditDialog(t('title_hearts'), fields);
+    }
+
+    // -------------------------------------------------------------------------
+    // Heart milestones
+    // -------------------------------------------------------------------------
+
+    // Extension prompt id of the one-shot milestone directive, kept apart
+    // from the tracker prompt so the two can be set independently.
+    var MILESTONE_PROMPT_ID = EXT_ID + '-milestone';
+
+    var MILESTONE_DIRECTIONS = ['up', 'down', 'both'];
+
+    /**
+     * Validates one milestone definition. Returns null when it has no
+     * usable points or text.
+     */
+    function normalizeMilestone(milestone) {
+        if (!milestone) return null;
+        var points    = parseHeartValue(milestone.points);
+        var text      = String(milestone.text || '').trim();
+        var direction = String(milestone.direction || 'up').trim().toLowerCase();
+        if (isNaN(points) || !text) return null;
+        return {
+            points:    Math.max(0, points),
+            direction: MILESTONE_DIRECTIONS.indexOf(direction) !== -1 ? direction : 'up',
+            text:      text,
+        };
+    }
+
+    /**
+     * Milestones that apply to one heart meter: those of settings.heartMilestones
+     * plus the [heart_milestone: ...] tags of the character's card. The single
+     * meter ('' name) uses the active character's card.
+     */
+    function getHeartMilestones(name) {
+        var ctx  = PT.getContext();
+        var card = name ? findCharacterCard(name) : (ctx && ctx.character);
+        return (getSettings().heartMilestones || [])
+            .map(normalizeMilestone)
+            .filter(Boolean)
+            .concat(getCharacterMilestones(card));
+    }
+
+    /**
+     * Records in snap.heartEvents every heart meter that entered another
+     * tier since prev, with the directives of the milestones in that tier.
+     * Meters without a previous value are skipped.
+     *
+     * @returns {object} the same snapshot
+     */
+    function detectHeartEvents(snap, prev) {
+        snap.heartEvents = [];
+        if (!prev) return snap;
+        var before = snapshotHeartMeters(prev);
+        var after  = snapshotHeartMeters(snap);
+
+        Object.keys(after).forEach(function (name) {
+            if (before[name] === undefined) return;
+            var from = getHeartTier(before[name]);
+            var to   = getHeartTier(after[name]);
+            if (from === to) return;
+            var direction = to > from ? 'up' : 'down';
+            var texts     = getHeartMilestones(name).filter(function (m) {
+                return getHeartTier(m.points) === to && (m.direction === 'both' || m.direction === direction);
+            }).map(function (m) {
+                return m.text.replace(/\{\{name\}\}/gi, name || '{{char}}');
+            });
+            snap.heartEvents.push({ name: name, from: from, to: to, directive: texts.join(' ') });
+        });
+        return snap;
+    }
+
+    /**
+     * Header notice of a tier crossing, e.g. "🎉 Alice: Reached 💚 Green Heart".
+     */
+    function describeHeartEvent(event) {
+        var tier = getHeartEmoji(HEART_TIER_MINS[event.to]) + ' ' + t('tiers')[event.to];
+        var up   = event.to > event.from;
+        return (up ? '\uD83C\uDF89 ' : '\uD83D\uDC94 ') + (event.name ? event.name + ': ' : '') +
+               t(up ? 'milestone_up' : 'milestone_down', tier);
+    }
+
+    /**
+     * One-shot directive for the next reply, built from the milestones the
+     * latest AI message crossed. Empty when there are none, which clears
+     * it again after the next AI message.
+     */
+    function buildMilestonePrompt(settings) {
+        var directives = (settings.heartEvents || []).filter(function (event) {
+            return event.directive;
+        }).map(function (event) {
+            return '- ' + (event.name ? event.name + ': ' : '') + event.directive;
+        });
+        return directives.length > 0 ? t('p_milestone') + '\n' + directives.join('\n') : '';
+    }
+
+    // -------------------------------------------------------------------------
+    // Visited places
+    // -------------------------------------------------------------------------
+
+    /**
+     * Opens the visited-places log of the active chat. Each place is a
+     * field labelled with its breadcrumb and visit details; editing its
+     * name renames the place in every snapshot, so the next prompt uses
+     * the corrected name.
+     */
+    function openPlacesLog() {
+        var chat   = _chatKey;
+        var places = buildPlaceLog();
+        if (places.length === 0) {
+            PT.showEditDialog(t('title_places'), [{ key: 'empty', label: t('places_empty'), value: '' }]);
+            return;
+        }
+
+        var fields = places.map(function (place, i) {
+            return { key: 'place_' + i, label: describePlace(place), value: place.name };
+        });
+        PT.showEditDialog(t('title_places'), fields).then(function (result) {
+            if (!result || chat !== _chatKey) return;
+
+            var renamed = 0;
+            places.forEach(function (place, i) {
+                var name = String(result['place_' + i] || '').trim();
+                if (!name || name === place.name) return;
+                renamePlace(place.name, name);
+                renamed++;
+            });
+            if (renamed === 0) return;
+
+            saveChatStore();
+            renderStoredHeaders();
+            injectPrompt();
+        });
+    }
+
+    // -------------------------------------------------------------------------
+    // Settings panel
+    // -------------------------------------------------------------------------
+
+    var HEART_MODES           = ['auto', 'single', 'perCharacter'];
+    var TAG_FORMATS           = ['brackets', 'json'];
+    var SCAN_DEPTH_MAX        = 100;
+    var INFERENCE_RETRIES_MAX = 5;
+    var STOPPED_POLICIES      = ['keep', 'parse', 'infer'];
+
+    function toggleText(on) {
+        return on ? 'on' : 'off';
+    }
+
+    /**
+     * Parses an on/off dialog value. Returns null when it is neither.
+     */
+    function parseToggle(value) {
+        var lower = String(value).trim().toLowerCase();
+        if (/^(on|yes|y|true|1)$/.test(lower))  return true;
+        if (/^(off|no|n|false|0)$/.test(lower)) return false;
+        return null;
+    }
+
+    function findOption(options, value) {
+        var lower = String(value).trim().toLowerCase();
+        for (var i = 0; i < options.length; i++) {
+            if (options[i].toLowerCase() === lower) return options[i];
+        }
+        return null;
+    }
+
+    /**
+     * Builds the Settings dialog: the master switch, one show and one
+     * highlight toggle per schema field, the numeric and mode settings,
+     * and a reset prompt.
+     */
+    function buildSettingsFields(s) {
+        function label(key, choices) {
+            return t('set_choices', t.apply(null, Array.isArray(key) ? key : [key]), choices);
+        }
+        function fieldName(field) {
+            return (field.emoji ? field.emoji + ' ' : '') + fieldText(field, 'label');
+        }
+
+        var fields = [
+            { key: 'enabled', label: label('set_enabled', 'on/off'), value: toggleText(s.enabled) },
+        ];
+        getFields(s).forEach(function (field) {
+            fields.push({
+                key:   'show_' + field.key,
+                label: label(['set_show', fieldName(field)], 'on/off'),
+                value: toggleText(field.show),
+            });
+        });
+        getFields(s).forEach(function (field) {
+            if (!canHighlight(field)) return;
+            fields.push({
+                key:   'highlight_' + field.key,
+                label: label(['set_highlight', fieldName(field)], 'on/off'),
+                value: toggleText(field.highlight),
+            });
+        });
+        fields.push(
+            { key: 'scanDepth',          label: label('set_scan_depth', '1\u2013' + SCAN_DEPTH_MAX),
+              value: String(s.scanDepth) },
+            { key: 'defaultHeartPoints', label: label('set_heart_default', HEART_MIN + '\u2013' + HEART_MAX),
+              value: String(s.defaultHeartPoints) },
+            { key: 'heartMode',          label: label('set_heart_mode', HEART_MODES.join('/')),
+              value: s.heartMode },
+            { key: 'tagFormat',          label: label('set_tag_format', TAG_FORMATS.join('/')),
+              value: getTagFormat(s) },
+            { key: 'inferenceRetries',   label: label('set_retries', '0\u2013' + INFERENCE_RETRIES_MAX),
+              value: String(s.inferenceRetries) },
+            { key: 'stoppedGeneration',  label: label('set_stopped', STOPPED_POLICIES.join('/')),
+              value: s.stoppedGeneration },
+            { key: 'temperatureUnit',    label: label('set_temperature', TEMPERATURE_UNITS.join('/')),
+              value: s.temperatureUnit },
+            { key: 'locale',             label: label('set_locale', LOCALES.join('/')),
+              value: s.locale },
+            { key: 'timeFormat',         label: label('set_time_format', TIME_FORMATS.join('/')),
+              value: s.timeFormat },
+            { key: 'dateOrder',          label: label('set_date_order', DATE_ORDERS.join('/')),
+              value: s.dateOrder }
+        );
+        Object.keys(DEFAULT_VALIDATION).forEach(function (rule) {
+            fields.push({ key: 'rule_' + rule, label: t('set_choices', t('rules')[rule], VALIDATION_MODES.join('/')),
+                          value: getRuleMode(s, rule) });
+        });
+        fields.push(
+            { key: 'reset',              label: t('set_reset'),
+              value: '' }
+        );
+        var ctx = PT.getContext();
+        if (ctx && ctx.character) {
+            fields.push({ key: 'characterPreset', label: t('set_preset', ctx.character.name), value: '' });
+        }
+        return fields;
+    }
+
+    /**
+     * Validates a Settings dialog result and applies every valid value.
+     * Invalid values leave their setting unchanged. Values the dialog showed
+     * unchanged are skipped, so the active character preset is not copied
+     * into the settings. With a preset draft, the field toggles and tag
+     * format go into the draft instead.
+     *
+     * @param {object} [preset] from draftCharacterPreset()
+     * @returns {Array<string>} one message per rejected value
+     */
+    function applySettingsResult(s, result, preset) {
+        var errors = [];
+
+        function number(key, label, min, max) {
+            if (result[key] === undefined) return;
+            var num = parseInt(String(result[key]).replace(/[,\s]/g, ''), 10);
+            if (isNaN(num) || num < min || num > max) {
+                errors.push(t('err_number', t(label), min, max));
+                return;
+            }
+            s[key] = num;
+        }
+
+        function option(key, label, options, target) {
+            if (result[key] === undefined) return;
+            var value = findOption(options, result[key]);
+            if (value === null) {
+                errors.push(t('err_option', t(label), options.join(', ')));
+                return;
+            }
+            if (value === (key === 'tagFormat' ? getTagFormat(s) : s[key])) return;
+            (target || s)[key] = value;
+        }
+
+        // First, so rejected values are reported in the language just chosen.
+        option('locale', 'set_locale', LOCALES);
+
+        if (result.enabled !== undefined) {
+            var enabled = parseToggle(result.enabled);
+            if (enabled === null) errors.push(t('err_toggle', t('set_enabled')));
+            else s.enabled = enabled;
+        }
+
+        function fieldToggle(field, prop, label) {
+            var raw = result[prop + '_' + field.key];
+            if (raw === undefined) return;
+            var on = parseToggle(raw);
+            if (on === null) {
+                errors.push(t('err_toggle', t(label, fieldText(field, 'label'))));
+                return;
+            }
+            if (on === field[prop]) return;
+            if (prop === 'show' && preset) {
+                preset.show[field.key] = on;
+                return;
+            }
+            // getFields() returns normalized copies; update the stored schema entry.
+            s.fields.forEach(function (entry) {
+                var normalized = normalizeField(entry);
+                if (normalized && normalized.key === field.key) entry[prop] = on;
+            });
+        }
+
+        getFields(s).forEach(function (field) {
+            fieldToggle(field, 'show', 'set_show');
+            if (canHighlight(field)) fieldToggle(field, 'highlight', 'set_highlight');
+        });
+
+        number('scanDepth',          'set_scan_depth',    1,         SCAN_DEPTH_MAX);
+        number('defaultHeartPoints', 'set_heart_default', HEART_MIN, HEART_MAX);
+        number('inferenceRetries',   'set_retries',       0,         INFERENCE_RETRIES_MAX);
+        option('heartMode',          'set_heart_mode',    HEART_MODES);
+        option('tagFormat',          'set_tag_format',    TAG_FORMATS, preset);
+        option('stoppedGeneration',  'set_stopped',       STOPPED_POLICIES);
+        option('temperatureUnit',    'set_temperature',   TEMPERATURE_UNITS);
+        option('timeFormat',         'set_time_format',   TIME_FORMATS);
+        option('dateOrder',          'set_date_order',    DATE_ORDERS);
+
+        Object.keys(DEFAULT_VALIDATION).forEach(function (rule) {
+            var raw = result['rule_' + rule];
+            if (raw === undefined) return;
+            var mode = findOption(VALIDATION_MODES, raw);
+            if (mode === null) {
+                errors.push(t('err_option', t('rules')[rule], VALIDATION_MODES.join(', ')));
+                return;
+            }
+            s.validation = s.validation || {};
+            s.validation[rule] = mode;
+        });
+
+        return errors;
+    }
+
+    /**
+     * Clears every stored snapshot of the current chat and restarts its
+     * state from the defaults. Pending inference for the chat is cancelled.
+     */
+    function resetChatTracker() {
+        var s     = getSettings();
+        var store = getChatStore();
+        if (_rebuild && _rebuild.chatKey === _chatKey) _rebuild.cancelled = true;
+        cancelInference(null);
+        store.messages    = {};
+        store.messageKeys = {};
+        store.commands    = {};
+        store.history     = {};
+        var before = snapshotFromSettings(s);
+        applySnapshot(s, defaultSnapshot());
+        store.state = snapshotFromSettings(s);
+        emitStateChange(before, 'reset', null);
+        PT.log('[PTTracker] Tracker state reset for chat "' + _chatKey + '".');
+    }
+
+    /**
+     * Opens the Settings dialog and applies the result immediately: headers
+     * are re-rendered and the prompt is re-injected. Rejected values are
+     * listed in a follow-up dialog.
+     */
+    function openSettingsPanel() {
+        var s          = getSettings();
+        var chat       = _chatKey;
+        var wasEnabled = s.enabled;
+
+        PT.showEditDialog(t('title_settings'), buildSettingsFields(s)).then(function (result) {
+            if (!result || chat !== _chatKey) return;
+
+            var presetCommand = String(result.characterPreset || '').trim().toLowerCase();
+            var preset        = presetCommand === 'save' ? draftCharacterPreset() : null;
+
+            var errors = applySettingsResult(s, result, preset);
+            if (preset)                    saveCharacterPreset(preset);
+            if (presetCommand === 'clear') clearCharacterPreset();
+            if (String(result.reset || '').trim().toLowerCase() === 'reset') resetChatTracker();
+            saveChatStore();
+            updateOutputFilter();
+
+            PT.clearAllHeaders();
+            if (s.enabled) {
+                renderStoredHeaders();
+                // Messages received while the tracker was off have no snapshot yet.
+                if (!wasEnabled) scanRecentMessages();
+            }
+            injectPrompt();
+            PT.log('[PTTracker] Settings updated' + (errors.length > 0 ? ' (' + errors.length + ' rejected).' : '.'));
+
+            if (errors.length > 0) {
+                PT.showEditDialog(t('title_settings'), [
+                    { key: 'errors', label: t('set_errors'), value: errors.join('\n') },
+                ]);
+            }
+        });
     }
 
     // -------------------------------------------------------------------------
-    // Message processing
+    // Prompt template editor
     // -------------------------------------------------------------------------
 
-    function scanRecentMessages() {
-        var ctx = PT.getContext();
-        if (!ctx || !ctx.recentMessages) return;
-        var msgs = ctx.recentMessages;
-
-        var aiMsgs = [];
-        for (var i = msgs.length - 1; i >= 0 && aiMsgs.length < 2; i--) {
-            if (!msgs[i].isUser) aiMsgs.unshift(msgs[i]);
-        }
-        if (aiMsgs.length === 0) return;
+    function presetNames(s) {
+        return Object.keys(s.promptPresets || {}).sort();
+    }
 
-        var s          = getSettings();
-        var anyUpdated = false;
+    function findPresetName(s, name) {
+        return findOption(presetNames(s), name);
+    }
 
-        for (var j = 0; j < aiMsgs.length; j++) {
-            var tags = parseTags(aiMsgs[j].text);
-            if (!hasTags(tags)) continue;
+    function buildTemplateFields(s) {
+        var names        = presetNames(s);
+        var placeholders = PROMPT_PLACEHOLDERS.map(function (p) { return '{{' + p + '}}'; }).join(' ');
+        return [
+            { key: 'prompt',        label: t('tpl_prompt', placeholders),  value: getPromptTemplate(s) },
+            { key: 'extraction',    label: t('tpl_extraction'),            value: getExtractionTemplate(s) },
+            { key: 'load_preset',   label: t('tpl_load', names.length > 0 ? names.join(', ') : t('tpl_none_saved')),
+              value: '' },
+            { key: 'save_preset',   label: t('tpl_save'),                  value: '' },
+            { key: 'delete_preset', label: t('tpl_delete'),                value: '' },
+            { key: 'command',       label: t('tpl_command'),               value: '' },
+        ];
+    }
 
-            anyUpdated = true;
-            if (tags.time       !== null)   { s.currentTime       = convertTo12Hour(tags.time); }
-            if (tags.location   !== null)   { s.currentLocation   = tags.location; }
-            if (tags.weather    !== null)   { s.currentWeather    = tags.weather; }
-            if (tags.characters.length > 0) { s.currentCharacters = tags.characters; }
-            if (tags.heart !== null) {
-                var parsed = parseInt(tags.heart, 10);
-                if (!isNaN(parsed)) s.heartPoints = Math.max(0, parsed);
-            }
-
-            _perMessageTracker[aiMsgs[j].index] = {
-                currentTime:       s.currentTime,
-                currentLocation:   s.currentLocation,
-                currentWeather:    s.currentWeather,
-                heartPoints:       s.heartPoints,
-                currentCharacters: s.currentCharacters,
-            };
+    /**
+     * Shows the injected prompt and the extraction prompt for the latest AI
+     * message as they would be sent with the current templates.
+     */
+    function showPromptPreview() {
+        var s      = getSettings();
+        var latest = null;
+        getChatMessages().forEach(function (m) {
+            if (!m.isUser && (!latest || m.index > latest.index)) latest = m;
+        });
+        var extraction = latest
+            ? buildExtractionPrompt(latest.text || '', getPreviousTrackerHeader(latest.index))
+            : t('preview_none');
+        PT.showEditDialog(t('title_preview'), [
+            { key: 'prompt',     label: t('preview_prompt'), value: buildPrompt(s) },
+            { key: 'extraction', label: latest ? t('preview_extraction_for', latest.index) : t('preview_extraction'),
+              value: extraction },
+        ]);
+    }
 
-            PT.setMessageHeader(aiMsgs[j].index, buildMainText(tags, s), EXT_ID, buildCollapsibleText(tags, s));
-        }
+    /**
+     * Opens the prompt template editor. A loaded preset or "default" replaces
+     * the edited text; templates equal to the built-in default are stored as
+     * empty so they follow future default changes. The prompt is re-injected
+     * straight away.
+     */
+    function openTemplateEditor() {
+        var s    = getSettings();
+        var chat = _chatKey;
 
-        if (anyUpdated) PT.saveSettings();
-    }
+        PT.showEditDialog(t('title_templates'), buildTemplateFields(s)).then(function (result) {
+            if (!result || chat !== _chatKey) return;
 
-    function autoGenerateTracker(messageIndex) {
-        var s = getSettings();
+            var errors   = [];
+            var command  = String(result.command || '').trim().toLowerCase();
+            var loadName = String(result.load_preset || '').trim();
+            var prompt   = result.prompt     !== undefined ? String(result.prompt)     : getPromptTemplate(s);
+            var extract  = result.extraction !== undefined ? String(result.extraction) : getExtractionTemplate(s);
 
-        // Get the actual message text to analyze
-        var messageText = '';
-        var ctx = PT.getContext();
-        if (ctx && ctx.recentMessages) {
-            for (var i = ctx.recentMessages.length - 1; i >= 0; i--) {
-                if (ctx.recentMessages[i].index === messageIndex) {
-                    messageText = ctx.recentMessages[i].text;
-                    break;
+            if (loadName) {
+                var preset = findPresetName(s, loadName);
+                if (preset === null) {
+                    errors.push(t('tpl_no_preset', loadName));
+                } else {
+                    prompt  = s.promptPresets[preset].prompt;
+                    extract = s.promptPresets[preset].extraction;
                 }
+            } else if (command === 'default') {
+                prompt  = defaultPromptTemplate();
+                extract = defaultExtractionTemplate();
             }
-        }
-        if (!messageText) return;
 
-        var prevHeaderText = getPreviousTrackerHeader(messageIndex);
-
-        var prompt =
-            '[OOC: Do NOT continue the story. Do NOT write any narrative. ' +
-            'Analyze the following message and extract scene information from it.\n\n' +
-            'Message to analyze:\n' +
-            '"""' + messageText + '"""\n\n';
-
-        if (prevHeaderText) {
-            prompt +=
-                'Previous tracker state for reference:\n' +
-                prevHeaderText + '\n\n' +
-                'Carry forward any values that the message above does not change.\n\n';
-        }
-
-        prompt +=
-            'Based on what is described in the message above, output ONLY these tracker tags:\n' +
-            '[time: h:MM AM/PM; MM/DD/YYYY (DayOfWeek)]\n' +
-            '[location: Full Location Description]\n' +
-            '[weather: Weather Description, Temperature]\n' +
-            '[heart: points_value]\n' +
-            '[char: Name | outfit: What they wear | state: State | position: Position]\n\n' +
-            'Include a [char:] tag for every person present in the scene, including {{user}}.\n' +
-            'Output ONLY the tags. No other text.';
-
-        PT.generateHidden(prompt).then(function (response) {
-            if (!response) return;
-            var tags = parseTags(response);
-            if (!hasTags(tags)) {
-                PT.log('[PTTracker] Auto-generate returned no valid tags for message #' + messageIndex + '.');
-                return;
+            prompt  = prompt.trim()  ? prompt  : defaultPromptTemplate();
+            extract = extract.trim() ? extract : defaultExtractionTemplate();
+            // Templates shown unchanged may come from the character preset.
+            if (prompt  !== getPromptTemplate(s))     s.promptTemplate     = prompt  === defaultPromptTemplate()     ? '' : prompt;
+            if (extract !== getExtractionTemplate(s)) s.extractionTemplate = extract === defaultExtractionTemplate() ? '' : extract;
+
+            var saveName = String(result.save_preset || '').trim();
+            if (saveName) {
+                s.promptPresets[findPresetName(s, saveName) || saveName] = {
+                    prompt:     prompt,
+                    extraction: extract,
+                };
             }
 
-            var newTime     = tags.time     !== null ? convertTo12Hour(tags.time) : (s.currentTime     || 'Unknown');
-            var newLocation = tags.location !== null ? tags.location              : (s.currentLocation || 'Unknown');
-            var newWeather  = tags.weather  !== null ? tags.weather               : (s.currentWeather  || 'Unknown');
-            var newHeart    = s.heartPoints;
-            var newChars    = tags.characters.length > 0 ? tags.characters : (s.currentCharacters || []);
+            var deleteName = String(result.delete_preset || '').trim();
+            if (deleteName) {
+                var doomed = findPresetName(s, deleteName);
+                if (doomed === null) errors.push(t('tpl_no_preset', deleteName));
+                else delete s.promptPresets[doomed];
+            }
 
-            if (tags.heart !== null) {
-                var pts = parseInt(tags.heart, 10);
-                if (!isNaN(pts)) newHeart = Math.max(0, pts);
+            if (command && command !== 'preview' && command !== 'default') {
+                errors.push(t('tpl_bad_command', command));
             }
 
-            s.currentTime       = newTime;
-            s.currentLocation   = newLocation;
-            s.currentWeather    = newWeather;
-            s.heartPoints       = newHeart;
-            s.currentCharacters = newChars;
             PT.saveSettings();
-
-            _perMessageTracker[messageIndex] = {
-                currentTime:       newTime,
-                currentLocation:   newLocation,
-                currentWeather:    newWeather,
-                heartPoints:       newHeart,
-                currentCharacters: newChars,
-            };
-
-            var tempSettings = {
-                showTime: s.showTime, showLocation: s.showLocation,
-                showWeather: s.showWeather, showHeartMeter: s.showHeartMeter,
-                showCharacters: s.showCharacters,
-                currentTime: newTime, currentLocation: newLocation,
-                currentWeather: newWeather, heartPoints: newHeart,
-                currentCharacters: newChars,
-            };
-            var emptyTags = { time: null, location: null, weather: null, heart: null, characters: [] };
-            PT.setMessageHeader(
-                messageIndex,
-                buildMainText(emptyTags, tempSettings),
-                EXT_ID,
-                buildCollapsibleText(emptyTags, tempSettings)
-            );
-
             injectPrompt();
-            PT.log('[PTTracker] Auto-generated tracker for message #' + messageIndex + '.');
+            PT.log('[PTTracker] Prompt templates updated' + (s.promptTemplate || s.extractionTemplate ? '.' : ' (built-in defaults).'));
+
+            if (errors.length > 0) {
+                PT.showEditDialog(t('title_templates'), [
+                    { key: 'errors', label: t('tpl_errors'), value: errors.join('\n') },
+                ]);
+            } else if (command === 'preview') {
+                showPromptPreview();
+            }
         });
     }
 
@@ -501,66 +5318,36 @@
 
         var tags = parseTags(text);
         if (!hasTags(tags)) {
+            // An edit removed the tags: drop the stale snapshot so its values
+            // stop feeding the prompt while a new one is inferred.
+            if (getMessageSnapshot(messageIndex)) {
+                deleteMessageSnapshot(messageIndex);
+                PT.clearMessageHeader(messageIndex);
+                rollbackToLatestSnapshot();
+            }
             // No tracker tags in the AI response — auto-generate them via hidden prompt
             PT.log('[PTTracker] No tags in message #' + messageIndex + ' — auto-generating tracker.');
             autoGenerateTracker(messageIndex);
             return;
         }
 
-        // Fill any missing tags from the previous AI message for continuity.
-        var needsFill = tags.time === null || tags.location === null ||
-                        tags.weather === null || tags.heart === null ||
-                        tags.characters.length === 0;
-        if (needsFill) {
-            var ctx = PT.getContext();
-            if (ctx && ctx.recentMessages) {
-                var msgs = ctx.recentMessages;
-                for (var i = msgs.length - 1; i >= 0; i--) {
-                    if (!msgs[i].isUser && msgs[i].index !== messageIndex) {
-                        var prevTags = parseTags(msgs[i].text);
-                        if (tags.time       === null && prevTags.time       !== null) { tags.time       = prevTags.time; }
-                        if (tags.location   === null && prevTags.location   !== null) { tags.location   = prevTags.location; }
-                        if (tags.weather    === null && prevTags.weather    !== null) { tags.weather    = prevTags.weather; }
-                        if (tags.heart      === null && prevTags.heart      !== null) { tags.heart      = prevTags.heart; }
-                        if (tags.characters.length === 0 && prevTags.characters.length > 0) {
-                            tags.characters = prevTags.characters;
-                        }
-                        break;
-                    }
-                }
-            }
-        }
-
-        if (tags.time       !== null)   { s.currentTime       = convertTo12Hour(tags.time); }
-        if (tags.location   !== null)   { s.currentLocation   = tags.location; }
-        if (tags.weather    !== null)   { s.currentWeather    = tags.weather; }
-        if (tags.characters.length > 0) { s.currentCharacters = tags.characters; }
-
+        // Fill any missing tags from the previous AI message's snapshot for continuity.
+        var snap = buildMessageSnapshot(tags, messageIndex, text);
         if (tags.heart !== null) {
-            var parsed = parseInt(tags.heart, 10);
-            if (!isNaN(parsed)) {
-                s.heartPoints = Math.max(0, parsed);
-                PT.log('[PTTracker] Heart points updated to ' + s.heartPoints + '.');
-            }
+            PT.log('[PTTracker] Heart points updated to ' + snap.heartPoints + '.');
         }
 
-        PT.saveSettings();
-
-        _perMessageTracker[messageIndex] = {
-            currentTime:       s.currentTime,
-            currentLocation:   s.currentLocation,
-            currentWeather:    s.currentWeather,
-            heartPoints:       s.heartPoints,
-            currentCharacters: s.currentCharacters,
-        };
-
-        PT.setMessageHeader(messageIndex, buildMainText(tags, s), EXT_ID, buildCollapsibleText(tags, s));
+        commitSnapshot(messageIndex, snap, 'ai');
         PT.log('[PTTracker] Header set for message #' + messageIndex + '.');
-
-        injectPrompt();
     }
 
     function getPreviousTrackerHeader(beforeIndex) {
+        var stored = getPreviousSnapshot(beforeIndex);
+        if (stored) {
+            var view = settingsForSnapshot(stored);
+            return buildMainText(emptyTags(), view) + '\n' + buildCollapsibleText(emptyTags(), view);
+        }
+
         var ctx = PT.getContext();
         if (!ctx || !ctx.recentMessages) return null;
         var msgs = ctx.recentMessages;
@@ -586,70 +5373,507 @@
         return null;
     }
 
+    // -------------------------------------------------------------------------
+    // User commands
+    // -------------------------------------------------------------------------
+    //
+    // Lines of a user message starting with /tracker change the chat's
+    // current state before the next generation, and are then removed from
+    // the message so they are neither sent nor shown:
+    //     /tracker location Harbor District    set any field by key or tag
+    //     /tracker heart +2000                 move the heart meter (or Alice +2000)
+    //     /tracker time +3h                    move the clock (d, h and m units)
+    //     /tracker leave Bob                   remove a character from the scene
+
+    var COMMAND_PATTERN = /^[ \t]*\/tracker\b[ \t]*([^\n]*)/gim;
+
+    // Whole command lines, with their line break.
+    var COMMAND_LINE_PATTERN = /^[ \t]*\/tracker\b[^\n]*(?:\n|$)/gim;
+
+    // Command lines for the output filter, which gets no multiline flag.
+    var COMMAND_FILTER_PATTERN = '(?:^|\\n)[ \\t]*\\/tracker\\b[^\\n]*';
+
+    var DURATION_PATTERN = /^([+-])\s*(?:(\d+)\s*d)?\s*(?:(\d+)\s*h)?\s*(?:(\d+)\s*m)?\s*$/i;
+
+    function parseCommands(text) {
+        var commands = [];
+        var match;
+        COMMAND_PATTERN.lastIndex = 0;
+        while ((match = COMMAND_PATTERN.exec(text || '')) !== null) commands.push(match[1].trim().replace(/\s+/g, ' '));
+        return commands;
+    }
+
+    function stripCommandLines(text) {
+        return String(text || '').replace(COMMAND_LINE_PATTERN, '').replace(/\s+$/, '');
+    }
+
+    /**
+     * Removes the command lines from a user message in the host's chat, so
+     * the prompt and the bubble only get the rest. Returns whether the
+     * message is free of commands afterwards.
+     */
+    function stripCommandsFromMessage(messageIndex) {
+        var ctx = PT.getContext();
+        if (!ctx) return false;
+        [ctx.chat, ctx.recentMessages].forEach(function (list) {
+            if (!Array.isArray(list)) return;
+            list.forEach(function (m, i) {
+                if ((m.index !== undefined ? m.index : i) !== messageIndex) return;
+                if (typeof m.mes  === 'string') m.mes  = stripCommandLines(m.mes);
+                if (typeof m.text === 'string') m.text = stripCommandLines(m.text);
+            });
+        });
+        return parseCommands(findMessageText(messageIndex)).length === 0;
+    }
+
+    /**
+     * Minutes of a signed duration such as "+3h", "-45m" or "+1d 2h", or
+     * null when the value is not one.
+     */
+    function parseDuration(value) {
+        var match = value.match(DURATION_PATTERN);
+        if (!match || !(match[2] || match[3] || match[4])) return null;
+        var minutes = (parseInt(match[2] || 0, 10) * 1440) + (parseInt(match[3] || 0, 10) * 60) + parseInt(match[4] || 0, 10);
+        return match[1] === '-' ? -minutes : minutes;
+    }
+
+    /**
+     * Turns one command into Edit dialog values on top of snap, with the
+     * confirmation line shown on the user message.
+     *
+     * @returns {{ result: object|null, line: string }} result is null when
+     *          the command cannot be applied; line then explains why
+     */
+    function commandToEdit(snap, command) {
+        var space  = command.search(/\s/);
+        var name   = (space === -1 ? command : command.slice(0, space)).toLowerCase();
+        var value  = space === -1 ? '' : command.slice(space + 1).trim();
+        var view   = settingsForSnapshot(snap);
+        var failed = { result: null, line: '\u26A0\uFE0F ' + t('cmd_unknown', '/tracker ' + command) };
+
+        if (name === 'leave') {
+            var chars   = snap.currentCharacters || [];
+            var leaving = value ? findCharacter(chars, value) : null;
+            if (!leaving) return { result: null, line: '\u26A0\uFE0F ' + t('cmd_not_here', value || '?') };
+            var charField = findField(getFields(view), 'characters');
+            return {
+                result: { characters: charsToString(chars.filter(function (c) { return c !== leaving; })) },
+                line:   (charField && charField.emoji ? charField.emoji + ' ' : '') + leaving.name + t('mark_left'),
+            };
+        }
+
+        var field = null;
+        getFields(view).forEach(function (f) {
+            if (!field && (f.key.toLowerCase() === name || f.tag.toLowerCase() === name)) field = f;
+        });
+        if (!field || field.key === 'quests' || !value) return failed;
+        var prefix = (field.emoji ? field.emoji + ' ' : '') + fieldText(field, 'label');
+
+        if (field.key === 'heart') {
+            var heartMatch = value.match(/^(?:(.+?)\s+)?([+-]?)\s*([\d,]+)$/);
+            if (!heartMatch) return failed;
+            var amount = parseHeartValue(heartMatch[3]);
+            // A single meter shows no per-character values to change.
+            if (heartMatch[1] && !usePerCharacterHearts(view)) {
+                return { result: null, line: '\u26A0\uFE0F ' + t('cmd_single_heart', '/tracker ' + command) };
+            }
+            if (heartMatch[1]) {
+                var hearts = cloneValue(snap.characterHearts || {});
+                var who    = findCharacter(Object.keys(hearts).map(function (n) { return { name: n }; }), heartMatch[1]) ||
+                             findCharacter(snap.currentCharacters || [], heartMatch[1]);
+                var key    = who ? who.name : heartMatch[1];
+                var from   = hearts[key] !== undefined ? hearts[key] : snap.heartPoints;
+                hearts[key] = Math.max(0, heartMatch[2] ? from + (heartMatch[2] === '-' ? -amount : amount) : amount);
+                return {
+                    result: { heart: heartsToString(hearts) },
+                    line:   prefix + ' (' + key + '): ' + formatChange(formatNumber(from), formatNumber(hearts[key])),
+                };
+            }
+            var points = Math.max(0, heartMatch[2] ? snap.heartPoints + (heartMatch[2] === '-' ? -amount : amount) : amount);
+            return {
+                result: { heart: String(points) },
+                line:   prefix + ': ' + formatChange(formatNumber(snap.heartPoints), formatNumber(points)),
+            };
+        }
+
+        if (field.key === 'time') {
+            var minutes = parseDuration(value);
+            if (minutes !== null) {
+                var moved = advanceTime(snap.currentTime, minutes);
+                if (moved === null) return { result: null, line: '\u26A0\uFE0F ' + t('cmd_no_time') };
+                return { result: { time: moved }, line: prefix + ': ' + toDisplayDate(moved) + ' (' + formatElapsed(minutes) + ')' };
+            }
+        }
+
+        var result = {};
+        result[field.key] = value;
+        return { result: result, line: prefix + ': ' + value };
+    }
+
+    function getLatestUserMessage() {
+        var latest = null;
+        getChatMessages().forEach(function (m) {
+            if (m.isUser && (!latest || m.index > latest.index)) latest = m;
+        });
+        if (!latest) return null;
+        var aiIndex = getLatestAiIndex();
+        return aiIndex !== null && aiIndex > latest.index ? null : latest;
+    }
+
+    /**
+     * Applies the /tracker commands of a user message to the chat's current
+     * state, strips them from the message and leaves a confirmation header
+     * on it. The values are kept with the message rather than written into
+     * the latest AI message's snapshot (see layerCommands), so deleting the
+     * message undoes them. Commands already applied are remembered, so
+     * editing the message only applies the ones that are new. Commands in
+     * a message that already has a later AI reply are not applied: they
+     * would change that reply's snapshot.
+     */
+    function processUserMessage(text, messageIndex) {
+        var s     = getSettings();
+        var store = getChatStore();
+        if (!s.enabled) return;
+
+        var entry    = store.commands[messageIndex] || null;
+        var commands = parseCommands(text);
+        if (commands.length === 0 && !entry) {
+            PT.clearMessageHeader(messageIndex);
+            return;
+        }
+
+        var handled = entry ? (entry.commands || []).slice() : [];
+        var fresh   = commands.filter(function (command) {
+            var i = handled.indexOf(command);
+            if (i === -1) return true;
+            handled.splice(i, 1);
+            return false;
+        });
+        entry = entry || { key: '', commands: [], lines: [], stripped: true };
+        entry.commands = (entry.commands || []).concat(fresh);
+
+        var latest   = getLatestAiIndex();
+        var tooLate  = latest !== null && latest > messageIndex;
+        var working  = getCurrentSnapshot();
+        var combined = {};
+        fresh.forEach(function (command) {
+            if (tooLate) {
+                entry.lines.push('\u26A0\uFE0F ' + t('cmd_too_late', '/tracker ' + command));
+                return;
+            }
+            var edit = commandToEdit(working, command);
+            if (edit.result) {
+                working = applyEditResult(working, edit.result);
+                Object.keys(edit.result).forEach(function (k) { combined[k] = edit.result[k]; });
+            }
+            entry.lines.push(edit.line);
+        });
+
+        entry.stripped = commands.length === 0 || stripCommandsFromMessage(messageIndex);
+        entry.key      = fingerprintText(stripCommandLines(text));
+        if (Object.keys(combined).length > 0) {
+            entry.result = entry.result || {};
+            Object.keys(combined).forEach(function (k) { entry.result[k] = combined[k]; });
+        }
+        store.commands[messageIndex] = entry;
+        if (Object.keys(combined).length > 0) commitCommandState(working);
+        else saveChatStore();
+        renderCommandHeader(messageIndex, text);
+        if (fresh.length > 0) {
+            PT.log('[PTTracker] ' + (tooLate ? 'Skipped ' : 'Applied ') + fresh.length +
+                   ' tracker command(s) from message #' + messageIndex + '.');
+        }
+    }
+
+    /**
+     * Makes snap, the current snapshot with new command values applied, the
+     * chat's current state. No AI message's snapshot or history changes.
+     */
+    function commitCommandState(snap) {
+        var s      = getSettings();
+        var before = snapshotFromSettings(s);
+        applySnapshot(s, snap);
+        getChatStore().state = snapshotFromSettings(s);
+        saveChatStore();
+        injectPrompt();
+        emitStateChange(before, 'command', null);
+    }
+
+    /**
+     * Shows the stored confirmation of a user message's commands, if it
+     * still belongs to the message text. Messages are matched without their
+     * command lines, whether or not the host let us strip them.
+     */
+    function renderCommandHeader(messageIndex, text) {
+        var entry = getChatStore().commands[messageIndex];
+        if (!entry || entry.key !== fingerprintText(stripCommandLines(text))) {
+            PT.clearMessageHeader(messageIndex);
+            return;
+        }
+        PT.setMessageHeader(messageIndex, '\uD83D\uDEE0\uFE0F ' + entry.lines.join('\n\uD83D\uDEE0\uFE0F '), EXT_ID, '');
+    }
+
+    // -------------------------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------------------------
+    //
+    // Exposed as window.PTTracker for other extensions. Bump API_VERSION
+    // whenever a method or payload property is added, so consumers can
+    // feature-detect. State is always handed out as a copy keyed by field:
+    //     { time, location, weather, heart, characters, inventory, quests,
+    //       <custom field keys>, hearts, heartReason, roster, warnings }
+
+    var API_VERSION = 1;
+
+    var API_EVENTS = ['change'];
+
+    var _apiListeners = {};
+
+    /**
+     * Converts a snapshot into the field-keyed state handed to consumers.
+     */
+    function exportState(snap) {
+        var state = {};
+        getFields(settingsForSnapshot(snap)).forEach(function (field) {
+            state[field.key] = cloneValue(getStateValue(snap, field));
+        });
+        state.hearts      = cloneValue(snap.characterHearts || {});
+        state.heartReason = snap.heartReason || '';
+        state.roster      = cloneValue(snap.characterRoster || {});
+        state.warnings    = cloneValue(snap.currentWarnings || []);
+        return state;
+    }
+
+    /**
+     * Field-level diff of two exported states: { key: { from, to } } for
+     * every key whose value differs.
+     */
+    function diffStates(before, after) {
+        var changes = {};
+        Object.keys(before).concat(Object.keys(after)).forEach(function (key) {
+            if (changes[key] || JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+            changes[key] = { from: cloneValue(before[key]), to: cloneValue(after[key]) };
+        });
+        return changes;
+    }
+
+    function emitApiEvent(event, payload) {
+        (_apiListeners[event] || []).slice().forEach(function (fn) {
+            try {
+                fn(payload);
+            } catch (err) {
+                PT.log('[PTTracker] API listener for "' + event + '" failed: ' + err);
+            }
+        });
+    }
+
+    /**
+     * Tells 'change' listeners how the chat's current state differs from
+     * before. Nothing is emitted when no field changed. The source is one of
+     * the history sources ('ai', 'auto', 'regenerate', 'rebuild', 'edit',
+     * 'command', 'api', 'restore', 'stopped'), 'undo' or 'redo', or one of
+     * 'rollback' (messages deleted), 'reset' (tracker reset from Settings)
+     * and 'chat' (chat switched); all of them have a label in STRINGS sources.
+     *
+     * @param {object} before        current state snapshot before the change
+     * @param {string} source        what changed it, see above
+     * @param {number|null} messageIndex  AI message the new state belongs to
+     */
+    function emitStateChange(before, source, messageIndex) {
+        if (!_apiListeners.change || _apiListeners.change.length === 0) return;
+        var state   = exportState(snapshotFromSettings(getSettings()));
+        var changes = diffStates(exportState(before), state);
+        if (Object.keys(changes).length === 0) return;
+        emitApiEvent('change', {
+            version:      API_VERSION,
+            chat:         _chatKey,
+            source:       source || 'unknown',
+            messageIndex: messageIndex === undefined ? null : messageIndex,
+            changes:      changes,
+            state:        state,
+        });
+    }
+
+    /**
+     * Subscribes to an API event. Returns a function that unsubscribes, or
+     * null when the event or listener is not valid.
+     */
+    function onApiEvent(event, fn) {
+        if (API_EVENTS.indexOf(event) === -1 || typeof fn !== 'function') return null;
+        (_apiListeners[event] = _apiListeners[event] || []).push(fn);
+        return function () { offApiEvent(event, fn); };
+    }
+
+    function offApiEvent(event, fn) {
+        var list = _apiListeners[event] || [];
+        var i    = list.indexOf(fn);
+        if (i !== -1) list.splice(i, 1);
+    }
+
+    /**
+     * Converts an API value into the text the Edit dialog would hold for
+     * the field, so setField() goes through the same parsing.
+     */
+    function toEditValue(field, value) {
+        if (value === undefined || value === null) return '';
+        if (field && field.key === 'characters' && Array.isArray(value)) return charsToString(value);
+        if (field && field.key === 'inventory'  && typeof value === 'object') return inventoryToString(value);
+        if (field && field.key === 'heart'      && typeof value === 'object') return heartsToString(value);
+        if (Array.isArray(value)) return value.join(', ');
+        return String(value);
+    }
+
+    /**
+     * Sets one field of the chat's current state, as if it had been typed
+     * into the Edit dialog of the latest AI message. name is a field key or
+     * tag, or 'heartReason'. Quests cannot be set this way.
+     *
+     * @returns {boolean} whether the field was known and set
+     */
+    function setApiField(name, value) {
+        var s     = getSettings();
+        var lower = String(name || '').trim().toLowerCase();
+        var field = null;
+        var key   = 'heart_reason';
+        if (lower !== 'heartreason' && lower !== 'heart_reason') {
+            getFields(s).forEach(function (f) {
+                if (!field && (f.key.toLowerCase() === lower || f.tag.toLowerCase() === lower)) field = f;
+            });
+            if (!field || field.key === 'quests') return false;
+            key = field.key;
+        }
+        var result = {};
+        result[key] = toEditValue(field, value);
+        commitCurrentEdit(result, 'api');
+        PT.log('[PTTracker] Field "' + key + '" set through the API.');
+        return true;
+    }
+
+    function exposeApi() {
+        if (typeof window === 'undefined') return;
+        window.PTTracker = {
+            version: API_VERSION,
+            getState: function () {
+                return exportState(snapshotFromSettings(getSettings()));
+            },
+            getMessageSnapshot: function (index) {
+                var snap = getMessageSnapshot(index);
+                return snap ? exportState(snap) : null;
+            },
+            setField: setApiField,
+            on:       onApiEvent,
+            off:      offApiEvent,
+        };
+        PT.log('[PTTracker] Public API v' + API_VERSION + ' exposed as window.PTTracker.');
+    }
+
     // -------------------------------------------------------------------------
     // Event handlers
     // -------------------------------------------------------------------------
 
     function onMessageReceived(data) {
         PT.log('[PTTracker] MESSAGE_RECEIVED');
-        processAiMessage(data.text, data.index);
+        // Picks up custom fields added to the settings since the last message.
+        updateOutputFilter();
+        // The reply landed elsewhere than guessed; put the guessed message's header back.
+        if (_generation && _generation.guessed && _generation.index !== data.index) {
+            clearProvisionalHeader(_generation.index);
+            _generation = null;
+        }
+        if (_generation && _generation.index === data.index) _generation = null;
+        if (_stopped[data.index]) processStoppedMessage(data.text, data.index);
+        else                      processAiMessage(data.text, data.index);
     }
 
     function onMessageEdited(data) {
         PT.log('[PTTracker] MESSAGE_EDITED');
         if (!data.isUser) {
+            // An edited reply is complete, even if its generation was stopped.
+            delete _stopped[data.index];
             processAiMessage(data.text, data.index);
         } else {
-            PT.clearMessageHeader(data.index);
+            processUserMessage(data.text, data.index);
         }
     }
 
+    function onMessageSent(data) {
+        PT.log('[PTTracker] MESSAGE_SENT');
+        processUserMessage(data.text, data.index);
+        if (typeof data.text === 'string') data.text = stripCommandLines(data.text);
+    }
+
+    function onChatDeleted(data) {
+        var key = data && typeof data === 'object' ? (data.chatId || data.chat_id || data.id) : data;
+        PT.log('[PTTracker] CHAT_DELETED');
+        dropChatStore(key);
+        PT.saveSettings();
+    }
+
     function onMessageDeleted() {
-        PT.log('[PTTracker] MESSAGE_DELETED — clearing in-memory tracker cache.');
-        _perMessageTracker = {};
+        PT.log('[PTTracker] MESSAGE_DELETED — re-aligning snapshots and rolling back state.');
+        reconcileSnapshots();
+        renderStoredHeaders();
+        rollbackToLatestSnapshot();
     }
 
-    function onGenerationStarted() {
+    function onGenerationStarted(data) {
         PT.log('[PTTracker] GENERATION_STARTED');
+        // Hosts without MESSAGE_SENT: apply the commands of the user message
+        // that triggered this generation before the prompt is used.
+        var latest = getLatestUserMessage();
+        if (latest) processUserMessage(latest.text, latest.index);
+
+        // Our own hidden generations get no provisional header.
+        if (_hiddenGenerations > 0 || !getSettings().enabled) return;
+        _generation = { index: getGenerationIndex(data), guessed: !hasHostGenerationIndex(data) };
+        delete _stopped[_generation.index];
+        showProvisionalHeader(_generation.index);
     }
 
     function onGenerationStopped() {
         PT.log('[PTTracker] GENERATION_STOPPED');
+        var generation = _generation;
+        if (!generation) return;
+        _generation = null;
+        _stopped[generation.index] = true;
+        var text = findMessageText(generation.index);
+        if (text) {
+            processStoppedMessage(text, generation.index);
+        } else {
+            // Nothing arrived yet; MESSAGE_RECEIVED applies the policy if it does.
+            clearProvisionalHeader(generation.index);
+        }
     }
 
-    function onChatChanged() {
-        PT.log('[PTTracker] CHAT_CHANGED — clearing all headers.');
+    /**
+     * Loads the active chat's tracker after a chat or character switch: a
+     * running rebuild and pending inferences belong to the previous chat
+     * and are stopped, and every header is rendered again.
+     */
+    function reloadChat() {
+        if (_rebuild) _rebuild.cancelled = true;
+        _generation = null;
+        _stopped    = {};
+        var before = snapshotFromSettings(getSettings());
         PT.clearAllHeaders();
-        _perMessageTracker = {};
-        // Reset tracker state so old chat data doesn't bleed into the new chat
-        var s = getSettings();
-        s.currentTime = '';
-        s.currentLocation = '';
-        s.currentWeather = '';
-        s.currentCharacters = [];
-        s.heartPoints = s.defaultHeartPoints || 0;
+        loadCharacterPreset();
+        loadChatState(false);
+        cancelInference();
+        updateOutputFilter();
+        renderStoredHeaders();
         scanRecentMessages();
         injectPrompt();
+        emitStateChange(before, 'chat', null);
+    }
+
+    function onChatChanged() {
+        PT.log('[PTTracker] CHAT_CHANGED — loading tracker state for the new chat.');
+        reloadChat();
     }
 
     function onCharacterChanged() {
         PT.log('[PTTracker] CHARACTER_CHANGED.');
-        var s   = getSettings();
-        // Reset tracker state so old character data doesn't bleed over
-        s.currentTime = '';
-        s.currentLocation = '';
-        s.currentWeather = '';
-        s.currentCharacters = [];
-        s.heartPoints = s.defaultHeartPoints || 0;
-        var ctx = PT.getContext();
-        var charDefault = getCharacterHeartDefault(ctx && ctx.character);
-        if (charDefault > 0) {
-            s.heartPoints = charDefault;
-        }
-        PT.saveSettings();
-        _perMessageTracker = {};
-        scanRecentMessages();
-        injectPrompt();
+        reloadChat();
     }
 
     function onButtonClicked(data) {
@@ -660,190 +5884,100 @@
         // ── Edit ──────────────────────────────────────────────────────────────
         if (action.indexOf('edit_message_') === 0) {
             var editIdx  = parseInt(action.substring('edit_message_'.length), 10);
-            var editData = _perMessageTracker[editIdx] || {};
-            var chars    = editData.currentCharacters || s.currentCharacters || [];
-
-            PT.showEditDialog('Edit Tracker', [
-                { key: 'time',       label: 'Time',         value: editData.currentTime     || s.currentTime     || '' },
-                { key: 'location',   label: 'Location',     value: editData.currentLocation || s.currentLocation || '' },
-                { key: 'weather',    label: 'Weather',      value: editData.currentWeather  || s.currentWeather  || '' },
-                { key: 'heart',      label: 'Heart Points', value: String(editData.heartPoints !== undefined ? editData.heartPoints : s.heartPoints) },
-                { key: 'characters', label: 'Characters (Name | outfit: X | state: Y | position: Z  — separate multiple with ;)',
-                  value: charsToString(chars) },
-            ]).then(function (result) {
-                if (!result) return;
-
-                var newTime     = result.time       !== undefined ? result.time       : (editData.currentTime     || s.currentTime     || '');
-                var newLocation = result.location   !== undefined ? result.location   : (editData.currentLocation || s.currentLocation || '');
-                var newWeather  = result.weather    !== undefined ? result.weather    : (editData.currentWeather  || s.currentWeather  || '');
-                var newHeart    = editData.heartPoints !== undefined ? editData.heartPoints : s.heartPoints;
-                var newChars    = editData.currentCharacters || s.currentCharacters || [];
-
-                if (result.heart !== undefined) {
-                    var pts = parseInt(result.heart, 10);
-                    if (!isNaN(pts)) newHeart = Math.max(0, pts);
-                }
-                if (result.characters !== undefined) {
-                    newChars = stringToChars(result.characters);
-                }
+            var editData = getMessageSnapshot(editIdx) || getPreviousSnapshot(editIdx) || snapshotFromSettings(s);
+            var editChat = _chatKey;
 
-                _perMessageTracker[editIdx] = {
-                    currentTime:       newTime,
-                    currentLocation:   newLocation,
-                    currentWeather:    newWeather,
-                    heartPoints:       newHeart,
-                    currentCharacters: newChars,
-                };
+            PT.showEditDialog(t('title_edit'), buildEditFields(editData)).then(function (result) {
+                if (!result || editChat !== _chatKey) return;
 
-                var tempSettings = {
-                    showTime: s.showTime, showLocation: s.showLocation,
-                    showWeather: s.showWeather, showHeartMeter: s.showHeartMeter,
-                    showCharacters: s.showCharacters,
-                    currentTime: newTime, currentLocation: newLocation,
-                    currentWeather: newWeather, heartPoints: newHeart,
-                    currentCharacters: newChars,
-                };
-                var emptyTags = { time: null, location: null, weather: null, heart: null, characters: [] };
-                PT.setMessageHeader(
-                    editIdx,
-                    buildMainText(emptyTags, tempSettings),
-                    EXT_ID,
-                    buildCollapsibleText(emptyTags, tempSettings)
-                );
-
-                // Update global settings if this is the most recent AI message.
-                var ctx = PT.getContext();
-                if (ctx && ctx.recentMessages) {
-                    var msgs = ctx.recentMessages;
-                    for (var i = msgs.length - 1; i >= 0; i--) {
-                        if (!msgs[i].isUser) {
-                            if (msgs[i].index === editIdx) {
-                                s.currentTime       = newTime;
-                                s.currentLocation   = newLocation;
-                                s.currentWeather    = newWeather;
-                                s.heartPoints       = newHeart;
-                                s.currentCharacters = newChars;
-                                PT.saveSettings();
-                                injectPrompt();
-                            }
-                            break;
-                        }
-                    }
-                }
+                commitManualEdit(editIdx, editData, result, 'edit');
                 PT.log('[PTTracker] Tracker updated via Edit dialog for message #' + editIdx + '.');
             });
 
+        // ── Quests ────────────────────────────────────────────────────────────
+        } else if (action.indexOf('quests_message_') === 0) {
+            var questIdx  = parseInt(action.substring('quests_message_'.length), 10);
+            var questData = getMessageSnapshot(questIdx) || getPreviousSnapshot(questIdx) || snapshotFromSettings(s);
+            var questChat = _chatKey;
+
+            PT.showEditDialog(t('title_quests'), buildQuestDialogFields(questData.currentQuests)).then(function (result) {
+                if (!result || questChat !== _chatKey) return;
+
+                commitQuestEdit(questIdx, questData, applyQuestDialogResult(questData.currentQuests, result));
+                PT.log('[PTTracker] Quest log updated for message #' + questIdx + '.');
+            });
+
+        // ── Undo / Redo / History ─────────────────────────────────────────────
+        } else if (action.indexOf('undo_message_') === 0) {
+            stepSnapshotHistory(parseInt(action.substring('undo_message_'.length), 10), -1);
+
+        } else if (action.indexOf('redo_message_') === 0) {
+            stepSnapshotHistory(parseInt(action.substring('redo_message_'.length), 10), 1);
+
+        } else if (action.indexOf('history_message_') === 0) {
+            openSnapshotHistory(parseInt(action.substring('history_message_'.length), 10));
+
         // ── Regenerate ────────────────────────────────────────────────────────
         } else if (action.indexOf('regenerate_message_') === 0) {
-            var regenIdx       = parseInt(action.substring('regenerate_message_'.length), 10);
-            var prevHeaderText = getPreviousTrackerHeader(regenIdx);
+            var regenIdx  = parseInt(action.substring('regenerate_message_'.length), 10);
 
             // Get the actual message text to analyze
-            var regenText = '';
-            var regenCtx = PT.getContext();
-            if (regenCtx && regenCtx.recentMessages) {
-                for (var ri = regenCtx.recentMessages.length - 1; ri >= 0; ri--) {
-                    if (regenCtx.recentMessages[ri].index === regenIdx) {
-                        regenText = regenCtx.recentMessages[ri].text;
-                        break;
-                    }
-                }
-            }
-
-            var prompt =
-                '[OOC: Do NOT continue the story. Do NOT write any narrative. ' +
-                'Analyze the following message and extract scene information from it.\n\n' +
-                'Message to analyze:\n' +
-                '"""' + regenText + '"""\n\n';
-
-            if (prevHeaderText) {
-                prompt +=
-                    'Previous tracker state for reference:\n' +
-                    prevHeaderText + '\n\n' +
-                    'Carry forward any values that the message above does not change.\n\n';
-            }
-
-            prompt +=
-                'Based on what is described in the message above, output ONLY these tracker tags:\n' +
-                '[time: h:MM AM/PM; MM/DD/YYYY (DayOfWeek)]\n' +
-                '[location: Full Location Description]\n' +
-                '[weather: Weather Description, Temperature]\n' +
-                '[heart: points_value]\n' +
-                '[char: Name | outfit: What they wear | state: State | position: Position]\n\n' +
-                'Include a [char:] tag for every person present in the scene, including {{user}}.\n' +
-                'Output ONLY the tags. No other text.';
-
-            PT.generateHidden(prompt).then(function (response) {
-                if (!response) return;
-                var tags = parseTags(response);
-                if (!hasTags(tags)) return;
-
-                var newTime     = tags.time     !== null ? convertTo12Hour(tags.time) : (s.currentTime     || 'Unknown');
-                var newLocation = tags.location !== null ? tags.location              : (s.currentLocation || 'Unknown');
-                var newWeather  = tags.weather  !== null ? tags.weather               : (s.currentWeather  || 'Unknown');
-                var newHeart    = s.heartPoints;
-                var newChars    = tags.characters.length > 0 ? tags.characters : (s.currentCharacters || []);
-
-                if (tags.heart !== null) {
-                    var pts = parseInt(tags.heart, 10);
-                    if (!isNaN(pts)) newHeart = Math.max(0, pts);
-                }
+            var regenText = findMessageText(regenIdx);
+            if (!regenText) return;
 
-                _perMessageTracker[regenIdx] = {
-                    currentTime:       newTime,
-                    currentLocation:   newLocation,
-                    currentWeather:    newWeather,
-                    heartPoints:       newHeart,
-                    currentCharacters: newChars,
-                };
+            inferTrackerTags(regenIdx, regenText).then(function (tags) {
+                if (!tags) return;
 
-                var tempSettings = {
-                    showTime: s.showTime, showLocation: s.showLocation,
-                    showWeather: s.showWeather, showHeartMeter: s.showHeartMeter,
-                    showCharacters: s.showCharacters,
-                    currentTime: newTime, currentLocation: newLocation,
-                    currentWeather: newWeather, heartPoints: newHeart,
-                    currentCharacters: newChars,
-                };
-                var emptyTags = { time: null, location: null, weather: null, heart: null, characters: [] };
-                PT.setMessageHeader(
-                    regenIdx,
-                    buildMainText(emptyTags, tempSettings),
-                    EXT_ID,
-                    buildCollapsibleText(emptyTags, tempSettings)
-                );
-
-                // Update global settings if this is the most recent AI message.
-                var ctx = PT.getContext();
-                if (ctx && ctx.recentMessages) {
-                    var msgs = ctx.recentMessages;
-                    for (var i = msgs.length - 1; i >= 0; i--) {
-                        if (!msgs[i].isUser) {
-                            if (msgs[i].index === regenIdx) {
-                                s.currentTime       = newTime;
-                                s.currentLocation   = newLocation;
-                                s.currentWeather    = newWeather;
-                                s.heartPoints       = newHeart;
-                                s.currentCharacters = newChars;
-                                PT.saveSettings();
-                                injectPrompt();
-                            }
-                            break;
-                        }
-                    }
-                }
+                commitSnapshot(regenIdx, buildMessageSnapshot(tags, regenIdx, regenText), 'regenerate');
                 PT.log('[PTTracker] Tracker regenerated for message #' + regenIdx + '.');
             });
+
+        // ── Rebuild whole chat ────────────────────────────────────────────────
+        } else if (action === 'rebuild_chat') {
+            rebuildChatTracker();
+
+        } else if (action === 'heart_history') {
+            openHeartHistory();
+
+        } else if (action === 'open_places') {
+            openPlacesLog();
+
+        } else if (action === 'open_settings') {
+            openSettingsPanel();
+
+        } else if (action === 'open_templates') {
+            openTemplateEditor();
+
+        } else if (action === 'cancel_rebuild') {
+            if (_rebuild) {
+                _rebuild.cancelled = true;
+                if (_rebuild.pendingIndex !== null) cancelInference(_rebuild.pendingIndex);
+                PT.log('[PTTracker] Chat rebuild cancel requested.');
+            }
         }
     }
 
     function onHeaderLongPressed(data) {
         var msgIndex = data.messageIndex;
         PT.log('[PTTracker] HEADER_LONG_PRESSED messageIndex=' + msgIndex);
-        PT.registerHeaderButtons(EXT_ID, [
+        var buttons = [
             { label: '\u270F\uFE0F Edit',       action: 'edit_message_'       + msgIndex },
             { label: '\uD83D\uDD04 Regenerate', action: 'regenerate_message_' + msgIndex },
-        ]);
+        ];
+        // Undo, Redo and History only appear when the message has versions to show.
+        if (canUndo(msgIndex))            buttons.push({ label: '\u21A9\uFE0F Undo',    action: 'undo_message_'    + msgIndex });
+        if (canRedo(msgIndex))            buttons.push({ label: '\u21AA\uFE0F Redo',    action: 'redo_message_'    + msgIndex });
+        if (getSnapshotHistory(msgIndex)) buttons.push({ label: '\uD83D\uDD58 History', action: 'history_message_' + msgIndex });
+        PT.registerHeaderButtons(EXT_ID, buttons.concat([
+            { label: '\uD83D\uDCDC Quests',     action: 'quests_message_'     + msgIndex },
+            { label: '\uD83D\uDCC8 Hearts',     action: 'heart_history' },
+            _rebuild
+                ? { label: '\u23F9\uFE0F Cancel Rebuild', action: 'cancel_rebuild' }
+                : { label: '\uD83D\uDD01 Rebuild Chat',   action: 'rebuild_chat' },
+            { label: '\uD83E\uDDED Places',     action: 'open_places' },
+            { label: '\u2699\uFE0F Settings',   action: 'open_settings' },
+            { label: '\uD83D\uDCDD Prompts',    action: 'open_templates' },
+        ]));
     }
 
     // -------------------------------------------------------------------------
@@ -853,27 +5987,32 @@
     function init() {
         PT.log('[PTTracker] Initialising\u2026');
 
-        var s   = getSettings();
-        var ctx = PT.getContext();
-        var charDefault = getCharacterHeartDefault(ctx && ctx.character);
-        if (s.heartPoints === 0 && charDefault > 0) {
-            s.heartPoints = charDefault;
-        }
-        PT.saveSettings();
+        loadCharacterPreset();
+        loadChatState(true);
 
-        PT.registerOutputFilter(EXT_ID, OUTPUT_FILTER_PATTERN);
-        PT.log('[PTTracker] Output filter registered.');
+        updateOutputFilter();
 
+        renderStoredHeaders();
         scanRecentMessages();
         injectPrompt();
+        exposeApi();
 
         PT.eventSource.on(PT.events.MESSAGE_RECEIVED,    onMessageReceived);
         PT.eventSource.on(PT.events.MESSAGE_EDITED,      onMessageEdited);
         PT.eventSource.on(PT.events.MESSAGE_DELETED,     onMessageDeleted);
+        if (PT.events.MESSAGE_SENT) {
+            PT.eventSource.on(PT.events.MESSAGE_SENT,    onMessageSent);
+        }
         PT.eventSource.on(PT.events.GENERATION_STARTED,  onGenerationStarted);
         PT.eventSource.on(PT.events.GENERATION_STOPPED,  onGenerationStopped);
         PT.eventSource.on(PT.events.CHAT_CHANGED,        onChatChanged);
         PT.eventSource.on(PT.events.CHARACTER_CHANGED,   onCharacterChanged);
+        if (PT.events.CHAT_DELETED) {
+            PT.eventSource.on(PT.events.CHAT_DELETED,    onChatDeleted);
+        }
+        if (PT.events.GROUP_CHAT_DELETED) {
+            PT.eventSource.on(PT.events.GROUP_CHAT_DELETED, onChatDeleted);
+        }
         PT.eventSource.on(PT.events.BUTTON_CLICKED,      onButtonClicked);
         PT.eventSource.on(PT.events.HEADER_LONG_PRESSED, onHeaderLongPressed);
 